@@ -0,0 +1,63 @@
+// Filter criteria from the filter panel. main.js calls read() when a filter
+// control changes and keeps only the markers for which matches() is true.
+const HORIZONTAL_ORDER_RANK = ['AA', 'A', 'B', 'FIRST', 'SECOND', 'THIRD', 'FOURTH'];
+const VERTICAL_ORDER_RANK = ['FIRST I', 'FIRST II', 'SECOND 0', 'SECOND I', 'SECOND II', 'THIRD'];
+const STABILITY_RANK = ['A', 'B', 'C', 'D'];
+
+class BenchmarkFilters {
+    static read() {
+        const maxAccuracy = parseFloat(document.getElementById('maxAccuracy').value);
+
+        return {
+            type: document.getElementById('benchmarkType').value,
+            horizontalOrder: document.getElementById('horizontalOrder').value,
+            verticalOrder: document.getElementById('verticalOrder').value,
+            minStability: document.getElementById('minStability').value,
+            monumentType: document.getElementById('monumentType').value,
+            maxAccuracyCm: Number.isNaN(maxAccuracy) ? null : maxAccuracy
+        };
+    }
+
+    // A mark passes an order filter when its order ranks the same or better;
+    // marks without a published order fail any order filter
+    static meetsOrder(value, minimum, ranks) {
+        if (minimum === 'all') return true;
+
+        const rank = ranks.indexOf(value);
+        return rank !== -1 && rank <= ranks.indexOf(minimum);
+    }
+
+    static verticalOrderKey(accuracy) {
+        if (!accuracy.verticalOrder) return null;
+        if (accuracy.verticalOrder === 'THIRD') return 'THIRD';
+
+        return `${accuracy.verticalOrder} ${accuracy.verticalClass}`;
+    }
+
+    static matches(benchmark, criteria) {
+        const accuracy = benchmark.accuracy || {};
+
+        if (criteria.type !== 'all' && benchmark.type !== criteria.type) return false;
+
+        if (!this.meetsOrder(accuracy.horizontalOrder, criteria.horizontalOrder, HORIZONTAL_ORDER_RANK)) return false;
+
+        if (!this.meetsOrder(this.verticalOrderKey(accuracy), criteria.verticalOrder, VERTICAL_ORDER_RANK)) return false;
+
+        const monument = benchmark.monument || {};
+
+        // e.g. "B" keeps A and B marks and drops C, D and unknown stability
+        const stability = monument.stability ? monument.stability.code : null;
+        if (!this.meetsOrder(stability, criteria.minStability, STABILITY_RANK)) return false;
+
+        if (criteria.monumentType !== 'all' &&
+            !(monument.marker && monument.marker.monumentType === criteria.monumentType)) return false;
+
+        if (criteria.maxAccuracyCm !== null) {
+            const values = [accuracy.networkHorizontalCm, accuracy.networkVerticalCm]
+                .filter(value => value !== null && value !== undefined);
+            if (values.length === 0 || Math.max(...values) > criteria.maxAccuracyCm) return false;
+        }
+
+        return true;
+    }
+}
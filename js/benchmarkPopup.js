@@ -0,0 +1,89 @@
+// Popup content for benchmark markers, used by main.js when a marker is
+// clicked. Each height is shown on its own row with its datum so a NAVD 88
+// orthometric height is never read as an NAD 83 ellipsoid height.
+class BenchmarkPopup {
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // e.g. "NAVD 88 Orthometric Height: -35.054 m (ADJUSTED, GEOID09)"
+    static formatHeight(label, height) {
+        const details = [height.source, height.model].filter(Boolean).join(', ');
+        const datum = height.datum ? `${height.datum} ` : '';
+
+        return `<div class="popup-row"><strong>${this.escapeHtml(datum + label)}:</strong> ` +
+            `${height.value.toFixed(3)} m` +
+            (details ? ` <span class="popup-detail">(${this.escapeHtml(details)})</span>` : '') +
+            '</div>';
+    }
+
+    static heightRows(benchmark) {
+        const heights = [
+            ['Orthometric Height', benchmark.orthometricHeight],
+            ['Ellipsoid Height', benchmark.ellipsoidHeight],
+            ['Geoid Height', benchmark.geoidHeight],
+            ['Dynamic Height', benchmark.dynamicHeight]
+        ];
+
+        return heights
+            .filter(([, height]) => height && height.value !== null)
+            .map(([label, height]) => this.formatHeight(label, height))
+            .join('');
+    }
+
+    // e.g. "SURVEY DISK (DD), SET IN TOP OF CONCRETE MONUMENT (7)"
+    static monumentRows(benchmark) {
+        const monument = benchmark.monument;
+        if (!monument) return '';
+
+        const coded = value => value
+            ? `${this.escapeHtml(value.label || '')}${value.code ? ` (${this.escapeHtml(value.code)})` : ''}`
+            : '';
+
+        return (monument.marker ? `<div class="popup-row"><strong>Marker:</strong> ${coded(monument.marker)}</div>` : '') +
+            (monument.setting ? `<div class="popup-row"><strong>Setting:</strong> ${coded(monument.setting)}</div>` : '') +
+            (monument.stability
+                ? `<div class="popup-row"><strong>Stability:</strong> ${this.escapeHtml(monument.stability.code)} - ` +
+                  `${this.escapeHtml(monument.stability.description)}</div>`
+                : '') +
+            (monument.stamping ? `<div class="popup-row"><strong>Stamping:</strong> ${this.escapeHtml(monument.stamping)}</div>` : '');
+    }
+
+    // Recovery timeline, oldest first, e.g. "2002-01-12  GOOD  NATIONAL GEODETIC SURVEY"
+    static recoveryTimeline(benchmark) {
+        if (!benchmark.recoveries || benchmark.recoveries.length === 0) return '';
+
+        const items = benchmark.recoveries.map(event => {
+            const by = event.recoveredBy || event.reportedBy;
+            return '<li class="timeline-event">' +
+                `<span class="timeline-date">${this.escapeHtml(event.date)}</span> ` +
+                `<span class="timeline-condition">${this.escapeHtml(event.condition || 'RECOVERY NOTE')}</span>` +
+                (by ? ` <span class="timeline-by">${this.escapeHtml(by)}</span>` : '') +
+                (event.note ? `<div class="timeline-note">${this.escapeHtml(event.note)}</div>` : '') +
+                '</li>';
+        }).join('');
+
+        return '<div class="popup-section"><strong>Recovery History:</strong>' +
+            `<ul class="recovery-timeline">${items}</ul></div>`;
+    }
+
+    static render(benchmark) {
+        return '<div class="benchmark-popup">' +
+            `<h4>${this.escapeHtml(benchmark.name || benchmark.id)}</h4>` +
+            `<div class="popup-row"><strong>PID:</strong> ${this.escapeHtml(benchmark.id)}</div>` +
+            `<div class="popup-row"><strong>Type:</strong> ${this.escapeHtml(benchmark.type)}</div>` +
+            `<div class="popup-row"><strong>Position:</strong> ${benchmark.latitude.toFixed(6)}, ${benchmark.longitude.toFixed(6)}</div>` +
+            this.heightRows(benchmark) +
+            this.monumentRows(benchmark) +
+            (benchmark.last_recovered
+                ? `<div class="popup-row"><strong>Last Recovered:</strong> ${this.escapeHtml(benchmark.last_recovered)} ` +
+                  `(${this.escapeHtml(benchmark.condition || 'no condition reported')})</div>`
+                : '') +
+            this.recoveryTimeline(benchmark) +
+            '</div>';
+    }
+}
@@ -0,0 +1,153 @@
+// The benchmark map: loads the marks in view from /api/benchmarks as the map
+// moves, shows those that pass the filter panel (BenchmarkFilters) and opens
+// a BenchmarkPopup when a marker is clicked, with lines to the mark's related
+// marks (RelatedMarksLayer) while the popup is open.
+const US_CENTER = [39.8283, -98.5795];
+const US_ZOOM = 4;
+
+// Marks requested per view; the server caps it at 5000
+const VIEW_LIMIT = 2000;
+
+// Marker colors, matching the map legend
+const TYPE_COLORS = {
+    horizontal: '#e74c3c',
+    vertical: '#3498db',
+    gravity: '#2ecc71',
+    cors: '#9b59b6',
+    triangulation: '#f39c12'
+};
+
+const FILTER_CONTROLS = ['benchmarkType', 'horizontalOrder', 'verticalOrder', 'minStability', 'monumentType', 'maxAccuracy'];
+
+class BenchmarkMap {
+    constructor(elementId) {
+        this.map = L.map(elementId).setView(US_CENTER, US_ZOOM);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '&copy; OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(this.map);
+
+        this.markers = L.layerGroup().addTo(this.map);
+        this.relatedMarks = new RelatedMarksLayer(this.map);
+        this.markerById = new Map();
+        this.benchmarks = [];
+        this.truncated = false;
+        // Number of the latest view request, so a slow response for a view
+        // the map has already left is dropped
+        this.request = 0;
+
+        this.bindControls();
+        this.load();
+    }
+
+    bindControls() {
+        this.map.on('moveend', () => this.load());
+        this.map.on('zoomend', () => {
+            document.getElementById('zoomLevel').textContent = this.map.getZoom();
+        });
+
+        document.getElementById('centerUSButton').addEventListener('click', () => {
+            this.map.setView(US_CENTER, US_ZOOM);
+        });
+        document.getElementById('toggleLayersButton').addEventListener('click', () => {
+            if (this.map.hasLayer(this.markers)) {
+                this.map.removeLayer(this.markers);
+            } else {
+                this.markers.addTo(this.map);
+            }
+        });
+
+        // The type narrows what the server sends; the rest only hide markers
+        FILTER_CONTROLS.forEach(id => {
+            const event = id === 'maxAccuracy' ? 'input' : 'change';
+            document.getElementById(id).addEventListener(event, () => (id === 'benchmarkType' ? this.load() : this.render()));
+        });
+    }
+
+    // "minLon,minLat,maxLon,maxLat" of the view, as /api/benchmarks takes it
+    viewBbox() {
+        const bounds = this.map.getBounds();
+        const west = Math.max(bounds.getWest(), -180);
+        const east = Math.min(bounds.getEast(), 180);
+        return [west, bounds.getSouth(), east, bounds.getNorth()].map(value => value.toFixed(5)).join(',');
+    }
+
+    async load() {
+        const request = ++this.request;
+        const type = document.getElementById('benchmarkType').value;
+        const params = new URLSearchParams({ bbox: this.viewBbox(), limit: VIEW_LIMIT });
+        if (type !== 'all') params.set('type', type);
+
+        this.setStatus('Loading NGS data...');
+
+        try {
+            const response = await fetch(`/api/benchmarks?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (request !== this.request) return;
+
+            this.benchmarks = data.benchmarks;
+            this.truncated = data.truncated;
+            this.render();
+        } catch (error) {
+            if (request === this.request) {
+                console.error('Error loading benchmarks:', error);
+                this.setStatus('Could not load benchmark data');
+            }
+        }
+    }
+
+    // Show the loaded marks that pass the filter panel. Markers still shown
+    // are kept rather than redrawn, so an open popup survives a reload.
+    render() {
+        const criteria = BenchmarkFilters.read();
+        const shown = new Map(this.benchmarks
+            .filter(benchmark => BenchmarkFilters.matches(benchmark, criteria))
+            .map(benchmark => [benchmark.id, benchmark]));
+
+        this.markerById.forEach((marker, id) => {
+            if (!shown.has(id)) {
+                this.markers.removeLayer(marker);
+                this.markerById.delete(id);
+            }
+        });
+        shown.forEach((benchmark, id) => {
+            if (!this.markerById.has(id)) {
+                this.markerById.set(id, this.createMarker(benchmark).addTo(this.markers));
+            }
+        });
+
+        document.getElementById('count').textContent = shown.size;
+        document.getElementById('benchmarkCount').classList.remove('hidden');
+        this.setStatus(this.truncated
+            ? `Showing the first ${this.benchmarks.length} benchmarks in view; zoom in to see all`
+            : `${this.benchmarks.length} benchmarks in view`);
+    }
+
+    createMarker(benchmark) {
+        const color = TYPE_COLORS[benchmark.type] || '#7f8c8d';
+
+        return L.circleMarker([benchmark.latitude, benchmark.longitude], {
+            radius: 6,
+            color,
+            fillColor: color,
+            fillOpacity: 0.8,
+            weight: 1,
+            className: `benchmark-marker ${benchmark.type}-marker`
+        })
+            .bindPopup(() => BenchmarkPopup.render(benchmark), { maxWidth: 360 })
+            .on('popupopen', () => {
+                this.relatedMarks.show(benchmark.id).catch(error => {
+                    console.error(`Error loading marks related to ${benchmark.id}:`, error);
+                });
+            })
+            .on('popupclose', () => this.relatedMarks.clear());
+    }
+
+    setStatus(text) {
+        document.getElementById('dataLoadingStatus').textContent = text;
+    }
+}
+
+new BenchmarkMap('map');
@@ -0,0 +1,50 @@
+// Draws lines from a selected benchmark to its reference marks, azimuth mark
+// and nearby stations so crews can find the whole station cluster. main.js
+// calls show() when a marker's popup opens and clear() when it closes.
+class RelatedMarksLayer {
+    constructor(map) {
+        this.map = map;
+        this.layer = L.layerGroup().addTo(map);
+        // The pending show(), so lines for a popup that has since closed
+        // are not drawn when its response arrives
+        this.request = null;
+    }
+
+    clear() {
+        this.request = null;
+        this.layer.clearLayers();
+    }
+
+    async show(pid) {
+        this.clear();
+        const request = {};
+        this.request = request;
+
+        const response = await fetch(`/api/benchmarks/${encodeURIComponent(pid)}/related`);
+        if (!response.ok || request !== this.request) return [];
+
+        const data = await response.json();
+        if (request !== this.request) return [];
+        const origin = [data.latitude, data.longitude];
+
+        data.related
+            .filter(mark => mark.latitude !== null && mark.longitude !== null)
+            .forEach(mark => {
+                const target = [mark.latitude, mark.longitude];
+                const distance = mark.distanceMeters !== null
+                    ? `${mark.approximate ? 'approx. ' : ''}${mark.distanceMeters.toFixed(3)} m`
+                    : 'distance not published';
+
+                L.polyline([origin, target], {
+                    className: `related-line related-${mark.relation.replace(/\s+/g, '-')}`,
+                    dashArray: mark.located === 'computed' ? '4 4' : null
+                }).addTo(this.layer);
+
+                L.circleMarker(target, { radius: 4, className: 'related-mark' })
+                    .bindTooltip(BenchmarkPopup.escapeHtml(`${mark.pid || ''} ${mark.name} (${mark.relation}, ${distance})`))
+                    .addTo(this.layer);
+            });
+
+        return data.related;
+    }
+}
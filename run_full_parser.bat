@@ -1,4 +1,4 @@
 @echo off
 cd /d "D:\NGS Project"
-"C:\Program Files\nodejs\node.exe" scripts\parseNGSDatasheets_clean.js
+"C:\Program Files\nodejs\node.exe" scripts\parseNGSDatasheets.js
 pause
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Flat attribute table of a benchmark, shared by the export writers so a
+// mark carries the same columns in every format. Each field is
+// { name, type, value(benchmark) } with type 'string', 'number' or 'integer';
+// values are null when the datasheet doesn't publish them.
+
+const label = decoded => (decoded ? decoded.label || decoded.code || null : null);
+const height = (benchmark, field) => (benchmark[field] ? benchmark[field].value : null);
+const position = benchmark => (benchmark.currentControl && benchmark.currentControl.position) || {};
+const accuracy = benchmark => benchmark.accuracy || {};
+const monument = benchmark => benchmark.monument || {};
+
+const ATTRIBUTE_FIELDS = [
+    { name: 'pid', type: 'string', value: b => b.id },
+    { name: 'designation', type: 'string', value: b => b.name },
+    { name: 'type', type: 'string', value: b => b.type },
+    { name: 'state', type: 'string', value: b => b.state },
+    { name: 'county', type: 'string', value: b => b.county },
+    { name: 'region', type: 'string', value: b => b.region },
+    { name: 'latitude', type: 'number', value: b => b.latitude },
+    { name: 'longitude', type: 'number', value: b => b.longitude },
+    { name: 'horizontal_datum', type: 'string', value: b => position(b).datum },
+    { name: 'position_source', type: 'string', value: b => position(b).source },
+    { name: 'latitude_dms', type: 'string', value: b => position(b).latitudeDms },
+    { name: 'longitude_dms', type: 'string', value: b => position(b).longitudeDms },
+    { name: 'orthometric_height', type: 'number', value: b => height(b, 'orthometricHeight') },
+    { name: 'vertical_datum', type: 'string', value: b => (b.orthometricHeight ? b.orthometricHeight.datum : null) },
+    { name: 'height_source', type: 'string', value: b => (b.orthometricHeight ? b.orthometricHeight.source : null) },
+    { name: 'ellipsoid_height', type: 'number', value: b => height(b, 'ellipsoidHeight') },
+    { name: 'geoid_height', type: 'number', value: b => height(b, 'geoidHeight') },
+    { name: 'geoid_model', type: 'string', value: b => (b.geoidHeight ? b.geoidHeight.model : null) },
+    { name: 'dynamic_height', type: 'number', value: b => height(b, 'dynamicHeight') },
+    { name: 'horizontal_order', type: 'string', value: b => accuracy(b).horizontalOrder },
+    { name: 'vertical_order', type: 'string', value: b => accuracy(b).verticalOrder },
+    { name: 'vertical_class', type: 'string', value: b => accuracy(b).verticalClass },
+    { name: 'ellipsoid_order', type: 'string', value: b => accuracy(b).ellipsoidOrder },
+    { name: 'network_horizontal_cm', type: 'number', value: b => accuracy(b).networkHorizontalCm },
+    { name: 'network_vertical_cm', type: 'number', value: b => accuracy(b).networkVerticalCm },
+    { name: 'marker', type: 'string', value: b => label(monument(b).marker) },
+    { name: 'setting', type: 'string', value: b => b.setting },
+    { name: 'stability', type: 'string', value: b => accuracy(b).stability },
+    { name: 'stamping', type: 'string', value: b => monument(b).stamping },
+    { name: 'condition', type: 'string', value: b => b.condition },
+    { name: 'date_established', type: 'string', value: b => b.date_established },
+    { name: 'last_recovered', type: 'string', value: b => b.last_recovered },
+    { name: 'aliases', type: 'string', value: b => (b.aliases && b.aliases.length > 0 ? b.aliases.join('; ') : null) },
+    { name: 'related_count', type: 'integer', value: b => (b.relatedMarks ? b.relatedMarks.length : 0) },
+    { name: 'datasheet_url', type: 'string', value: b => b.datasheet_url },
+    { name: 'schema_version', type: 'integer', value: b => b.schemaVersion }
+];
+
+// { name: value } for every attribute field
+function toAttributes(benchmark) {
+    const attributes = {};
+    ATTRIBUTE_FIELDS.forEach(field => {
+        const value = field.value(benchmark);
+        attributes[field.name] = value === undefined ? null : value;
+    });
+    return attributes;
+}
+
+module.exports = {
+    ATTRIBUTE_FIELDS,
+    toAttributes
+};
@@ -0,0 +1,83 @@
+// Which benchmarks an export includes: states, legend types and a bounding
+// box, from the command line (--state CA --type vertical --bbox ...) or a
+// query string (?state=CA&type=vertical&bbox=...). Every criterion is
+// optional; an empty selection matches everything.
+
+// Comma separated list, upper- or lower-cased, or null when empty
+function parseList(text, transform) {
+    if (!text) return null;
+    const values = String(text).split(',').map(value => transform(value.trim())).filter(Boolean);
+    return values.length > 0 ? values : null;
+}
+
+// "minLon,minLat,maxLon,maxLat" (the GeoJSON bbox order)
+function parseBbox(text) {
+    if (!text) return null;
+
+    const values = String(text).split(',').map(value => parseFloat(value));
+    if (values.length !== 4 || values.some(value => Number.isNaN(value))) {
+        throw new Error(`Invalid bbox "${text}", expected minLon,minLat,maxLon,maxLat`);
+    }
+
+    const [west, south, east, north] = values;
+    if (south > north) {
+        throw new Error(`Invalid bbox "${text}", minLat is above maxLat`);
+    }
+
+    return { west, south, east, north };
+}
+
+// Selection from { state, type, bbox } strings (CLI values or req.query)
+function parseSelection(values = {}) {
+    return {
+        states: parseList(values.state || values.states, value => value.toUpperCase()),
+        types: parseList(values.type || values.types, value => value.toLowerCase()),
+        bbox: parseBbox(values.bbox)
+    };
+}
+
+// A bbox with west > east crosses the antimeridian (e.g. the Aleutians)
+function inBbox(benchmark, bbox) {
+    if (benchmark.latitude < bbox.south || benchmark.latitude > bbox.north) return false;
+
+    return bbox.west <= bbox.east
+        ? benchmark.longitude >= bbox.west && benchmark.longitude <= bbox.east
+        : benchmark.longitude >= bbox.west || benchmark.longitude <= bbox.east;
+}
+
+function matchesSelection(benchmark, selection) {
+    if (selection.states && !selection.states.includes(benchmark.state)) return false;
+    if (selection.types && !selection.types.includes(benchmark.type)) return false;
+    if (selection.bbox && !inBbox(benchmark, selection.bbox)) return false;
+    return true;
+}
+
+// Yield the benchmarks of any (async) iterable that match the selection
+async function* selectBenchmarks(benchmarks, selection) {
+    for await (const benchmark of benchmarks) {
+        if (matchesSelection(benchmark, selection)) {
+            yield benchmark;
+        }
+    }
+}
+
+// Counts benchmarks as they pass through to a writer:
+//   const counted = countBenchmarks(); await write(counted.wrap(benchmarks)); counted.count
+function countBenchmarks() {
+    const counted = { count: 0 };
+    counted.wrap = async function* (benchmarks) {
+        for await (const benchmark of benchmarks) {
+            counted.count++;
+            yield benchmark;
+        }
+    };
+    return counted;
+}
+
+module.exports = {
+    parseBbox,
+    parseSelection,
+    matchesSelection,
+    selectBenchmarks,
+    countBenchmarks
+};
@@ -0,0 +1,451 @@
+const DatasheetRecordParser = require('./datasheetRecordParser');
+
+// Datasheet lines are 80 columns: " " + PID (6) + block marker (1) + 72 of text
+const TEXT_WIDTH = 72;
+
+const RULE = '_'.repeat(70);
+const TABLE_RULE = '-'.repeat(67);
+const BOX_WIDTH = 69;
+
+// Header fields in datasheet order, with the labels DatasheetRecordParser
+// reads them from
+const HEADER_LABELS = [
+    ['designation', 'DESIGNATION'],
+    ['pid', 'PID'],
+    ['state', 'STATE/COUNTY'],
+    ['country', 'COUNTRY'],
+    ['usgsQuad', 'USGS QUAD']
+];
+
+// Mark description labels as NGS prints them; other fields are spelled out
+// from their field name
+const MARK_DESCRIPTION_LABELS = [
+    'MARKER', 'SETTING', 'SP_SET', 'STAMPING', 'MARK LOGO', 'PROJECTION',
+    'MAGNETIC', 'STABILITY', 'SATELLITE', 'ROD/PIPE-DEPTH', 'SLEEVE-DEPTH'
+];
+
+// Number of decimals a number prints with
+function decimalsOf(value) {
+    const match = String(value).match(/\.(\d+)$/);
+    return match ? match[1].length : 0;
+}
+
+// Print a number with at least `decimals` decimals, never dropping any
+function fixed(value, decimals = 0) {
+    if (/e/i.test(String(value))) return String(value);
+    return value.toFixed(Math.max(decimals, decimalsOf(value)));
+}
+
+// "3462052.683" -> "3,462,052.683"
+function grouped(text) {
+    return text.replace(/^([-+]?\d+)/, whole => whole.replace(/\B(?=(\d{3})+(?!\d))/g, ','));
+}
+
+// "33 07 29.9(N)" -> "33 07 29.9    (N)": seconds padded the way NGS prints them
+function padDms(dms) {
+    return dms.replace(/([\d.]+)\(([NSEW])\)$/, (match, seconds, hemisphere) => `${seconds.padEnd(8)}(${hemisphere})`);
+}
+
+// Split text into lines of at most width characters, breaking only at
+// single spaces, so joining the lines with a space gives the text back
+function wrapText(text, width = TEXT_WIDTH) {
+    const isBreak = (value, index) => value[index] === ' ' && index > 0 && index < value.length - 1
+        && value[index - 1] !== ' ' && value[index + 1] !== ' ';
+    const lines = [];
+    let rest = text;
+
+    while (rest.length > width) {
+        let cut = -1;
+        for (let i = width; i > 0 && cut < 0; i--) {
+            if (isBreak(rest, i)) cut = i;
+        }
+        for (let i = width + 1; i < rest.length && cut < 0; i++) {
+            if (isBreak(rest, i)) cut = i;
+        }
+        if (cut < 0) break;
+
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut + 1);
+    }
+
+    lines.push(rest);
+    return lines;
+}
+
+// Renders a structured record (DatasheetRecordParser.parse, or a benchmark
+// from NGSDatasheetParser, which carries the same fields) back into the NGS
+// 80-column datasheet layout. Only what the record holds is written, so
+// derived fields (region, datums, monument codes, recovery summary) come
+// back the same when the text is parsed again.
+class DatasheetFormatter {
+    constructor() {
+        this.recordParser = new DatasheetRecordParser();
+        this.markDescriptionLabels = {};
+        MARK_DESCRIPTION_LABELS.forEach(label => {
+            this.markDescriptionLabels[this.recordParser.toFieldName(label)] = label;
+        });
+    }
+
+    format(record) {
+        const pid = record.header.pid;
+        if (!pid) {
+            throw new Error('Cannot format a datasheet without a PID');
+        }
+
+        const lines = [];
+        const line = (marker, text = '') => lines.push(` ${pid}${marker}${text}`.trimEnd());
+        const context = {
+            line,
+            plain: text => line(' ', text ? ` ${text}` : ''),
+            control: text => line('*', ` ${text}`),
+            blank: () => line(' ')
+        };
+
+        lines.push(`1        National Geodetic Survey, Retrieval Date = ${record.retrievalDate || this.retrievalDate()}`);
+        context.line(' ', '*'.repeat(71));
+
+        this.formatHeader(record, context);
+        this.formatCurrentControl(record, context);
+        this.formatAccuracy(record, context);
+        this.formatNotes(record, context);
+        this.formatGrid(record, context);
+        this.formatBoxScore(record, context);
+        this.formatSuperseded(record, context);
+        this.formatMarkDescription(record, context);
+        this.formatHistory(record, context);
+        this.formatDescription(record, context);
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Today in the datasheet's "OCTOBER 19, 2026" form
+    retrievalDate() {
+        return new Date()
+            .toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+            .toUpperCase();
+    }
+
+    headerLine(context, label, value) {
+        context.plain(`${label.padEnd(12)}-  ${value}`);
+    }
+
+    formatHeader(record, context) {
+        const header = record.header;
+
+        header.flags.forEach(flag => this.headerLine(context, flag.flag, flag.text || ''));
+
+        HEADER_LABELS.forEach(([field, label]) => {
+            if (field === 'state') {
+                if (header.state || header.county) {
+                    this.headerLine(context, label, `${header.state || ''}/${header.county || ''}`);
+                }
+            } else if (header[field]) {
+                this.headerLine(context, label, header[field]);
+            }
+        });
+
+        record.aliases.forEach(alias => this.headerLine(context, 'ALIAS', alias));
+    }
+
+    // "NAD 83(2011) ELLIP HT-   -68.367 (meters)        (06/27/12)   ADJUSTED"
+    // "GEOID HEIGHT    -   -33.31 (meters)                           GEOID18"
+    heightText(label, height, withDatum) {
+        const name = withDatum && height.datum ? `${height.datum} ${label}` : label.padEnd(15);
+        let text = `${name} - ${fixed(height.value).padStart(9)} (meters)`;
+
+        if (height.valueFeet !== null && height.valueFeet !== undefined) {
+            text += ` ${fixed(height.valueFeet).padStart(11)}  (feet)`;
+        }
+        if (height.date) {
+            text += `        (${height.date})`;
+        }
+
+        const code = height.source || height.model;
+        return code ? `${text.padEnd(61)} ${code}` : text;
+    }
+
+    // " DB0629  NAD 83(2011) X  -   -2,297,960.797 (meters)                   COMP"
+    valueText(label, value, unit, remainder, decimals = 0) {
+        const text = `${label.padEnd(15)} - ${grouped(fixed(value, decimals)).padStart(13)} (${unit})`;
+        return remainder ? `${text.padEnd(61)} ${remainder}` : text;
+    }
+
+    formatCurrentControl(record, context) {
+        const control = record.currentControl;
+        const position = control.position;
+
+        context.blank();
+        context.line(' ', `${' '.repeat(24)}*CURRENT SURVEY CONTROL`);
+        context.plain(RULE);
+
+        if (position) {
+            const source = position.source ? `   ${position.source}` : '';
+            context.control(`${position.datum} POSITION- ${padDms(position.latitudeDms)} ${padDms(position.longitudeDms)}${source}`);
+        }
+        if (record.ellipsoidHeight) {
+            context.control(this.heightText('ELLIP HT', record.ellipsoidHeight, true));
+        }
+        if (record.orthometricHeight) {
+            context.control(this.heightText('ORTHO HEIGHT', record.orthometricHeight, true));
+        }
+
+        control.values.forEach(value => {
+            context.control(value.unit
+                ? `${value.label} - ${fixed(value.value)} (${value.unit})${value.remainder ? ` ${value.remainder}` : ''}`
+                : `${value.label} - ${value.value}`);
+        });
+
+        context.plain(RULE);
+
+        if (control.geoidModel) {
+            const datum = record.orthometricHeight ? record.orthometricHeight.datum : null;
+            context.plain(`${datum || 'The'} orthometric height was determined with geoid model ${control.geoidModel}`);
+        }
+
+        // Geoid and dynamic heights only name a datum when it isn't the one
+        // the parser would assume (see resolveHeightDatums)
+        if (record.geoidHeight) {
+            const assumed = (record.ellipsoidHeight ? record.ellipsoidHeight.datum : (position && position.datum)) || null;
+            context.plain(this.heightText('GEOID HEIGHT', record.geoidHeight, record.geoidHeight.datum !== assumed));
+        }
+
+        const ecef = record.ecef;
+        if (ecef) {
+            ['x', 'y', 'z'].filter(axis => ecef[axis] !== null).forEach(axis => {
+                const label = `${ecef.datum ? `${ecef.datum} ` : ''}${axis.toUpperCase()}`;
+                context.plain(this.valueText(label, ecef[axis], ecef.unit, ecef.source));
+            });
+        }
+
+        if (record.laplaceCorrection) {
+            const laplace = record.laplaceCorrection;
+            context.plain(this.valueText('LAPLACE CORR', laplace.value, laplace.unit, laplace.model, 2));
+        }
+
+        const deflection = record.deflection;
+        if (deflection) {
+            // A model name with spaces only fits in the trailing column
+            const prefix = deflection.model && !/\s/.test(deflection.model) ? `${deflection.model} ` : '';
+            [['xi', 'XI'], ['eta', 'ETA']].filter(([field]) => deflection[field] !== null).forEach(([field, label]) => {
+                context.plain(this.valueText(`${prefix}${label}`, deflection[field], deflection.unit, deflection.model, 2));
+            });
+        }
+
+        if (record.dynamicHeight) {
+            const assumed = record.orthometricHeight ? record.orthometricHeight.datum : null;
+            context.plain(this.heightText('DYNAMIC HEIGHT', record.dynamicHeight, record.dynamicHeight.datum !== assumed));
+        }
+
+        [['modeled', 'MODELED GRAVITY'], ['observed', 'OBSERVED GRAVITY']].forEach(([field, label]) => {
+            const gravity = record.gravity[field];
+            if (gravity) {
+                context.plain(this.valueText(label, gravity.value, gravity.unit, gravity.reference));
+            }
+        });
+    }
+
+    formatAccuracy(record, context) {
+        const accuracy = record.accuracy;
+        const orders = [
+            ['HORZ ORDER', accuracy.horizontalOrder, null],
+            ['VERT ORDER', accuracy.verticalOrder, accuracy.verticalClass],
+            ['ELLP ORDER', accuracy.ellipsoidOrder, accuracy.ellipsoidClass]
+        ].filter(([, order, orderClass]) => order || orderClass);
+
+        if (orders.length > 0) {
+            context.blank();
+            orders.forEach(([label, order, orderClass]) => {
+                const text = `${label.padEnd(15)} -  ${order || '?'}`;
+                context.plain(orderClass ? `${text.padEnd(29)}CLASS ${orderClass}` : text);
+            });
+        }
+
+        const rows = [
+            ['NETWORK', accuracy.networkHorizontalCm, accuracy.networkVerticalCm],
+            ['LOCAL', accuracy.localHorizontalCm, accuracy.localVerticalCm]
+        ].filter(([, horizontal, vertical]) => horizontal !== null && vertical !== null);
+
+        if (rows.length > 0) {
+            context.blank();
+            context.plain('Network accuracy estimates per FGDC Geospatial Positioning Accuracy');
+            context.plain('Standards:');
+            context.plain('       FGDC (95% conf, cm)');
+            context.plain('         Horiz  Ellip');
+            context.plain(TABLE_RULE);
+            rows.forEach(([label, horizontal, vertical]) => {
+                context.plain(`${label.padEnd(7)} ${fixed(horizontal, 2).padStart(6)} ${fixed(vertical, 2).padStart(6)}`);
+            });
+            context.plain(TABLE_RULE);
+        }
+    }
+
+    // Each note is its own paragraph of "." lines
+    formatNotes(record, context) {
+        record.notes.forEach(note => {
+            context.blank();
+            wrapText(note).forEach(text => context.line('.', text));
+        });
+    }
+
+    // SPC and UTM rows, then the scale factors once per zone
+    formatGrid(record, context) {
+        const rows = record.spc.map(row => ['SPC', row]).concat(record.utm.map(row => ['UTM', row]));
+        if (rows.length === 0) return;
+
+        const zoneLabel = (system, zone) => (system === 'UTM' ? `UTM  ${zone}` : `SPC ${zone}`).padEnd(13);
+
+        context.blank();
+        context.line(';', '                   North         East     Units Scale Factor Converg.');
+        rows.forEach(([system, row]) => {
+            const decimals = row.units === 'MT' ? 3 : 2;
+            context.line(';', [
+                `${zoneLabel(system, row.zone)}-`,
+                grouped(fixed(row.northing, decimals)).padStart(13),
+                grouped(fixed(row.easting, decimals)).padStart(13),
+                row.units.padStart(4),
+                fixed(row.scaleFactor, 8).padStart(11),
+                row.convergence.padStart(12)
+            ].join(' '));
+        });
+
+        const factors = [];
+        rows.forEach(([system, row]) => {
+            const zone = `${system} ${row.zone}`;
+            if (row.elevationFactor !== null && !factors.some(([name]) => name === zone)) {
+                factors.push([zone, system, row]);
+            }
+        });
+
+        if (factors.length > 0) {
+            context.blank();
+            context.line('!', '             -  Elev Factor  x  Scale Factor =  Combined Factor');
+            factors.forEach(([, system, row]) => {
+                context.line('!', `${zoneLabel(system, row.zone)}-   ${fixed(row.elevationFactor, 8)}  x   ${fixed(row.scaleFactor, 8)}  =   ${fixed(row.combinedFactor, 8)}`);
+            });
+        }
+    }
+
+    // " DB0629| DB1234 -59 Y RM 1                           12.345 METERS 0451230.0 |"
+    formatBoxScore(record, context) {
+        if (record.relatedMarks.length === 0) return;
+
+        const row = text => context.line('|', `${text.padEnd(BOX_WIDTH)}|`);
+
+        context.blank();
+        context.line('|', `${'-'.repeat(BOX_WIDTH)}|`);
+        row(' PID    Reference Object                     Distance      Geod. Az  ');
+        row('                                                           dddmmss.s ');
+        record.relatedMarks.forEach(mark => {
+            const distance = mark.distance
+                ? `${mark.distance.approximate ? 'APPROX. ' : ''}${fixed(mark.distance.value)} ${mark.distance.unit}`
+                : '';
+            row(` ${(mark.pid || '').padEnd(6)} ${mark.name.padEnd(35)} ${distance.padStart(14)} ${(mark.azimuth || '').padStart(9)} `);
+        });
+        context.line('|', `${'-'.repeat(BOX_WIDTH)}|`);
+    }
+
+    // "AD(2002.00) 0", "AD(       ) 1", "LEVELING    3"
+    supersededCode(entry) {
+        if (!entry.source) return '';
+        if (entry.epoch !== null) {
+            return `${entry.source}(${entry.epoch})${entry.order ? ` ${entry.order}` : ''}`;
+        }
+        if (entry.kind === 'horizontal') {
+            return `${entry.source}(       )${entry.order ? ` ${entry.order}` : ''}`;
+        }
+        return entry.order ? `${entry.source.padEnd(11)} ${entry.order}` : entry.source;
+    }
+
+    // Superseded rows in record order, so every ELLIP H row stays under the
+    // NAD 83 realization it belongs to
+    formatSuperseded(record, context) {
+        if (record.history.length === 0) return;
+
+        context.blank();
+        context.line(' ', `${' '.repeat(25)}SUPERSEDED SURVEY CONTROL`);
+        context.blank();
+
+        record.history.forEach(entry => {
+            const code = this.supersededCode(entry);
+
+            if (entry.kind === 'horizontal') {
+                const text = `${entry.datum.padEnd(12)}-  ${padDms(entry.latitudeDms)}    ${padDms(entry.longitudeDms)} ${code}`;
+                // Long datum names ("AMERICAN SAMOA 1962") need the spacing
+                context.plain(text.length < TEXT_WIDTH ? text
+                    : `${entry.datum}- ${padDms(entry.latitudeDms)} ${padDms(entry.longitudeDms)} ${code}`);
+            } else if (entry.height !== null) {
+                const label = entry.kind === 'ellipsoidHeight' ? 'ELLIP H' : entry.datum;
+                const feet = entry.heightFeet !== null ? `${fixed(entry.heightFeet, 1).padStart(11)}  (f)` : '';
+                context.plain(`${label.padEnd(7)} (${entry.date}) ${fixed(entry.height).padStart(9)}  (m) ${feet.padEnd(17)} ${code}`);
+            }
+        });
+    }
+
+    // "_" field lines, long values continued on "+" lines
+    formatMarkDescription(record, context) {
+        const fields = Object.entries(record.markDescription);
+        if (!record.usng && fields.length === 0) return;
+
+        context.blank();
+
+        if (record.usng) {
+            const datum = record.usng.datum ? `(${record.usng.datum})` : '';
+            context.line('_', `U.S. NATIONAL GRID SPATIAL ADDRESS: ${record.usng.designation}${datum}`);
+        }
+
+        fields.forEach(([field, value]) => {
+            const label = this.markDescriptionLabels[field] || field.replace(/([A-Z])/g, ' $1').toUpperCase();
+            wrapText(value, TEXT_WIDTH - label.length - 2).forEach((text, index) => {
+                context.line(index === 0 ? '_' : '+', `${label}: ${text}`);
+            });
+        });
+    }
+
+    // Recovery events with a condition make up the HISTORY table; events
+    // that only have a STATION RECOVERY paragraph are not listed there
+    formatHistory(record, context) {
+        const rows = record.recoveries.filter(event => event.condition || event.reportedBy);
+        if (rows.length === 0) return;
+
+        context.blank();
+        context.plain('HISTORY     - Date     Condition        Report By');
+        rows.forEach(event => {
+            const condition = event.condition || 'UNKNOWN';
+            const reportedBy = event.reportedBy || event.recoveredBy || '?';
+            context.plain(`HISTORY     - ${event.date.replace(/-/g, '').padEnd(8)} ${condition.padEnd(15)}  ${reportedBy}`);
+        });
+    }
+
+    // STATION DESCRIPTION, then one STATION RECOVERY paragraph per event
+    // with a note. The parser gives each HISTORY row the first paragraph of
+    // its year, so within a year the paragraphs of table rows come first.
+    formatDescription(record, context) {
+        const heading = text => {
+            context.blank();
+            context.line(' ', `${' '.repeat(25)}${text}`);
+            context.blank();
+        };
+        const paragraph = text => text.split('\n').forEach(textLine => {
+            wrapText(textLine).forEach(part => context.line('\'', part));
+        });
+
+        if (record.stationDescription) {
+            heading('STATION DESCRIPTION');
+            paragraph(record.stationDescription);
+        }
+
+        record.recoveries
+            .map((event, index) => ({ event, index, listed: Boolean(event.condition || event.reportedBy) }))
+            .filter(({ event }) => event.note !== null && event.note !== undefined)
+            .map(item => ({ ...item, year: item.event.year || parseInt(item.event.date) }))
+            .sort((a, b) => a.year - b.year || b.listed - a.listed || a.index - b.index)
+            .forEach(({ event, year }) => {
+                heading(`STATION RECOVERY (${year})`);
+                if (event.note) {
+                    paragraph(event.note);
+                }
+            });
+    }
+}
+
+module.exports = DatasheetFormatter;
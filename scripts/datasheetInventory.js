@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Parse records kept in the "parsed" section of data/processed/inventory.json
+// (the rest of the file belongs to NGSDataFetcher.generateInventory). For
+// every datasheet file it stores the content hash, when it was parsed and
+// where its benchmarks sit in the output file, so an unchanged state can be
+// copied from the previous output instead of being parsed again.
+class DatasheetInventory {
+    constructor(inventoryFile) {
+        this.inventoryFile = inventoryFile;
+        this.parsed = null;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.inventoryFile)) {
+            const inventory = await fs.readJson(this.inventoryFile);
+            this.parsed = inventory.parsed || null;
+        }
+        return this.parsed;
+    }
+
+    // SHA-256 of a file's contents, read as a stream
+    static async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+
+    // Short hash of source files, so output from older parser code is not
+    // reused after the parser changes
+    static hashSources(filePaths) {
+        const hash = crypto.createHash('sha256');
+        filePaths.forEach(filePath => hash.update(fs.readFileSync(filePath)));
+        return hash.digest('hex').slice(0, 16);
+    }
+
+    // The previous record of a datasheet file, if its benchmarks can be
+    // reused: same contents, same parse settings, and the output file is
+    // still the one that record points into.
+    async findReusable(key, hash, settings, outputFile) {
+        if (!this.parsed || !this.parsed.files || !this.parsed.files[key]) return null;
+        if (this.parsed.outputFile !== outputFile) return null;
+        if (JSON.stringify(this.parsed.settings) !== JSON.stringify(settings)) return null;
+        if (!await fs.pathExists(outputFile)) return null;
+
+        const stats = await fs.stat(outputFile);
+        if (stats.size !== this.parsed.outputSize) return null;
+
+        const record = this.parsed.files[key];
+        return record.hash === hash ? record : null;
+    }
+
+    // Replace the parsed section, keeping whatever else is in the inventory
+    async save(parsed) {
+        let inventory = {};
+        if (await fs.pathExists(this.inventoryFile)) {
+            inventory = await fs.readJson(this.inventoryFile);
+        }
+
+        inventory.parsed = parsed;
+        this.parsed = parsed;
+
+        await fs.ensureDir(path.dirname(this.inventoryFile));
+        await fs.writeJson(this.inventoryFile, inventory, { spaces: 2 });
+    }
+}
+
+module.exports = DatasheetInventory;
@@ -0,0 +1,829 @@
+const ngsCodes = require('./ngsCodes');
+
+// Every datasheet line starts with the 6 character PID followed by a one
+// character marker that tells which block the line belongs to:
+//   '*' current survey control     ';' SPC / UTM coordinates
+//   '.' explanatory notes          '!' SPC / UTM scale factors
+//   '|' box score (related marks)  '_' mark description fields
+//   '+' continued description field "'" station description / recovery text
+const LINE_PATTERN = /^\s?([A-Z]{2}\d{4})(.?)(.*)$/;
+const RETRIEVAL_PATTERN = /National Geodetic Survey,\s*Retrieval Date\s*=\s*(.+)/;
+const POSITION_PATTERN = /^(.+?)\s+POSITION-\s*(\d+)\s+(\d+)\s+([\d.]+)\s*\(([NS])\)\s+(\d+)\s+(\d+)\s+([\d.]+)\s*\(([EW])\)\s*(.*)$/;
+const VALUE_PATTERN = /^(.+?)\s*-\s*([-+]?[\d,]*\.?\d+)\s*\(([^)]+)\)\s*(.*)$/;
+const HEIGHT_PATTERN = /^(.*?)\s*(ELLIP HT|ORTHO HEIGHT|GEOID HEIGHT|DYNAMIC HEIGHT)\s*-\s*([-+]?[\d,]*\.?\d+)\s*\((meters|m)\)\s*(.*)$/;
+const SUPERSEDED_POSITION_PATTERN = /^([A-Z][A-Z0-9 ]*?(?:\s*\([^)]*\))?)\s*-\s*(\d+)\s+(\d+)\s+([\d.]+)\s*\(([NS])\)\s+(\d+)\s+(\d+)\s+([\d.]+)\s*\(([EW])\)\s*(.*)$/;
+const SUPERSEDED_HEIGHT_PATTERN = /^(.+?)\s*\(([\d?]{2}\/[\d?]{2}\/[\d?]{2})\)\s*([-+]?[\d,]*\.?\d+)\s*\(m\)\s*(?:([-+]?[\d,]*\.?\d+)\s*\(f\))?\s*(.*)$/;
+const GRID_PATTERN = /^(SPC\s+.+?|UTM\s+\d+)\s*-\s*([\d,.]+)\s+([\d,.]+)\s+(\w+)\s+([\d.]+)\s+([+-]?\d+\s+\d+\s+[\d.]+)/;
+const FACTOR_PATTERN = /^(SPC\s+.+?|UTM\s+\d+)\s*-\s*([\d.]+)\s+x\s+([\d.]+)\s+=\s+([\d.]+)/;
+
+// Unit codes used in the SPC / UTM table
+const GRID_UNITS = {
+    'MT': 'meters',
+    'sFT': 'US survey feet',
+    'iFT': 'international feet'
+};
+
+// Box score distance units converted to meters
+const DISTANCE_UNITS = {
+    'METERS': 1,
+    'M': 1,
+    'KM': 1000,
+    'FT': 0.3048,
+    'MI': 1609.344
+};
+
+// Height labels mapped to the record field that holds them
+const HEIGHT_FIELDS = {
+    'ELLIP HT': 'ellipsoidHeight',
+    'ORTHO HEIGHT': 'orthometricHeight',
+    'GEOID HEIGHT': 'geoidHeight',
+    'DYNAMIC HEIGHT': 'dynamicHeight'
+};
+
+// Header labels mapped to record fields; any other header label is a station
+// flag such as " DB0629  TIDAL BM    - This is a Tidal Bench Mark."
+const HEADER_FIELDS = {
+    'DESIGNATION': 'designation',
+    'PID': 'pid',
+    'COUNTRY': 'country',
+    'USGS QUAD': 'usgsQuad'
+};
+
+class DatasheetRecordParser {
+    // Convert degrees/minutes/seconds plus hemisphere to signed decimal degrees
+    toDecimalDegrees(deg, min, sec, hemisphere) {
+        const value = parseInt(deg) + (parseInt(min) / 60) + (parseFloat(sec) / 3600);
+        return (hemisphere === 'S' || hemisphere === 'W') ? -value : value;
+    }
+
+    // Parse a number that may carry thousands separators ("3,462,052.683")
+    toNumber(text) {
+        const value = parseFloat(String(text).replace(/,/g, ''));
+        return Number.isNaN(value) ? null : value;
+    }
+
+    // Turn a field label such as "MARK LOGO" or "SP_SET" into "markLogo" / "spSet"
+    toFieldName(label) {
+        return label
+            .toLowerCase()
+            .replace(/[^a-z0-9]+(.)/g, (match, chr) => chr.toUpperCase())
+            .replace(/[^a-zA-Z0-9]/g, '');
+    }
+
+    // Split an entry into { pid, marker, text } lines, keeping unprefixed
+    // lines (retrieval header, blank lines) with a null PID
+    splitLines(text) {
+        return text.split(/\r?\n/).map(raw => {
+            const match = raw.match(LINE_PATTERN);
+            if (match) {
+                return { pid: match[1], marker: match[2], text: match[3].trimEnd(), raw };
+            }
+            return { pid: null, marker: null, text: raw.trim(), raw };
+        });
+    }
+
+    createRecord() {
+        return {
+            retrievalDate: null,
+            header: {
+                pid: null,
+                designation: null,
+                state: null,
+                county: null,
+                country: null,
+                usgsQuad: null,
+                flags: []
+            },
+            aliases: [],
+            region: null,
+            datums: {
+                horizontal: null,
+                vertical: null
+            },
+            currentControl: {
+                position: null,
+                geoidModel: null,
+                values: []
+            },
+            accuracy: {
+                networkHorizontalCm: null,
+                networkVerticalCm: null,
+                localHorizontalCm: null,
+                localVerticalCm: null,
+                horizontalOrder: null,
+                verticalOrder: null,
+                verticalClass: null,
+                ellipsoidOrder: null,
+                ellipsoidClass: null,
+                stability: null,
+                controlDesignations: []
+            },
+            ecef: null,
+            laplaceCorrection: null,
+            deflection: null,
+            gravity: {
+                modeled: null,
+                observed: null
+            },
+            ellipsoidHeight: null,
+            orthometricHeight: null,
+            geoidHeight: null,
+            dynamicHeight: null,
+            notes: [],
+            spc: [],
+            utm: [],
+            usng: null,
+            relatedMarks: [],
+            history: [],
+            markDescription: {},
+            monument: null,
+            stationDescription: null,
+            recoveries: [],
+            established: null,
+            lastRecovery: null
+        };
+    }
+
+    // Parse one complete datasheet entry into a structured record
+    parse(text) {
+        const record = this.createRecord();
+
+        // The HISTORY table and the STATION RECOVERY paragraphs are collected
+        // separately and merged into the recovery timeline at the end
+        const recovery = { historyTable: [], paragraphs: [] };
+        let section = 'header';
+        let lastMarker = null;
+        let lastField = null;
+
+        for (const line of this.splitLines(text)) {
+            if (!line.pid) {
+                const retrievalMatch = line.text.match(RETRIEVAL_PATTERN);
+                if (retrievalMatch) {
+                    record.retrievalDate = retrievalMatch[1].trim();
+                }
+                continue;
+            }
+
+            const content = line.text.trim();
+
+            // Blank lines end a note paragraph
+            if (!content) {
+                lastMarker = null;
+                continue;
+            }
+
+            switch (line.marker) {
+                case '*':
+                    this.parseCurrentControlLine(record, content);
+                    break;
+
+                case '.':
+                    if (lastMarker === '.') {
+                        record.notes[record.notes.length - 1] += ` ${content}`;
+                    } else {
+                        record.notes.push(content);
+                    }
+                    break;
+
+                case ';':
+                    this.parseGridLine(record, content);
+                    break;
+
+                case '!':
+                    this.parseGridFactorLine(record, content);
+                    break;
+
+                case '|':
+                    this.parseBoxScoreLine(record, content);
+                    break;
+
+                case '_':
+                    lastField = this.parseMarkDescriptionLine(record, content);
+                    break;
+
+                case '+':
+                    this.parseMarkDescriptionContinuation(record, content, lastField);
+                    break;
+
+                case '\'':
+                    this.appendDescriptionText(record, recovery, section, content);
+                    break;
+
+                case ' ':
+                    section = this.parsePlainLine(record, recovery, section, content);
+                    break;
+
+                default:
+                    break;
+            }
+
+            lastMarker = line.marker;
+        }
+
+        this.resolveHeightDatums(record);
+        this.resolveDatums(record);
+        this.buildRecoveries(record, recovery);
+        this.resolveMonument(record);
+        this.collectTextAliases(record);
+        this.resolveAccuracy(record);
+
+        return record;
+    }
+
+    // Lines without a block marker carry section headings, header fields,
+    // additional current control values, superseded rows and the history table
+    parsePlainLine(record, recovery, section, content) {
+        if (content.includes('CURRENT SURVEY CONTROL')) return 'current';
+        if (content.includes('SUPERSEDED SURVEY CONTROL')) return 'superseded';
+        if (content === 'STATION DESCRIPTION') return 'description';
+
+        const recoveryMatch = content.match(/^STATION RECOVERY\s*\((\d{4})\)/);
+        if (recoveryMatch) {
+            recovery.paragraphs.push({ year: parseInt(recoveryMatch[1]), text: '' });
+            return 'recovery';
+        }
+
+        if (/^HISTORY\s+-/.test(content)) {
+            this.parseHistoryLine(recovery, content);
+            return section;
+        }
+
+        // Table rules and the ruled "____" separators carry no data
+        if (/^[-_]+$/.test(content)) return section;
+
+        if (section === 'header') {
+            this.parseHeaderLine(record, content);
+        } else if (section === 'current') {
+            this.parseCurrentControlLine(record, content);
+        } else if (section === 'superseded') {
+            this.parseSupersededLine(record, content);
+        }
+
+        return section;
+    }
+
+    parseHeaderLine(record, content) {
+        const match = content.match(/^([A-Z][A-Z /_]*?)\s*-\s*(.*)$/);
+        if (!match) return;
+
+        const label = match[1].trim();
+        const value = match[2].trim();
+
+        if (label === 'STATE/COUNTY') {
+            const [state, ...county] = value.split('/');
+            record.header.state = state.trim() || null;
+            record.header.county = county.join('/').trim() || null;
+        } else if (HEADER_FIELDS[label]) {
+            record.header[HEADER_FIELDS[label]] = value || null;
+        } else if (label === 'ALIAS' || label === 'AKA') {
+            this.addAlias(record, value);
+        } else {
+            record.header.flags.push({ flag: label, text: value });
+        }
+    }
+
+    addAlias(record, alias) {
+        const value = alias.replace(/\s+/g, ' ').trim();
+        if (value && value !== record.header.designation && !record.aliases.includes(value)) {
+            record.aliases.push(value);
+        }
+    }
+
+    // Descriptions often name other designations for the mark, e.g.
+    // "STATION IS ALSO KNOWN AS NILAND RM 2" or "(AKA NILAND 1934)"
+    collectTextAliases(record) {
+        const texts = [record.stationDescription]
+            .concat(record.recoveries.map(event => event.note))
+            .filter(Boolean);
+
+        texts.forEach(text => {
+            const pattern = /\b(?:AKA|A\.K\.A\.|ALSO KNOWN AS)\s*:?\s*([A-Z0-9][A-Z0-9 '\-]*?)\s*(?=[.,;)\n]|$)/g;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                this.addAlias(record, match[1]);
+            }
+        });
+    }
+
+    parseCurrentControlLine(record, content) {
+        const positionMatch = content.match(POSITION_PATTERN);
+        if (positionMatch) {
+            record.currentControl.position = {
+                datum: positionMatch[1].trim(),
+                latitude: this.toDecimalDegrees(positionMatch[2], positionMatch[3], positionMatch[4], positionMatch[5]),
+                longitude: this.toDecimalDegrees(positionMatch[6], positionMatch[7], positionMatch[8], positionMatch[9]),
+                latitudeDms: `${positionMatch[2]} ${positionMatch[3]} ${positionMatch[4]}(${positionMatch[5]})`,
+                longitudeDms: `${positionMatch[6]} ${positionMatch[7]} ${positionMatch[8]}(${positionMatch[9]})`,
+                source: positionMatch[10].trim() || null
+            };
+            return;
+        }
+
+        const height = this.parseHeightLine(content);
+        if (height) {
+            record[height.field] = height.height;
+            return;
+        }
+
+        if (this.parseAccuracyLine(record, content)) return;
+
+        if (this.parseGeodeticValueLine(record, content)) return;
+
+        // " DB0629  NAVD 88 orthometric height was determined with geoid model GEOID09"
+        const modelMatch = content.match(/determined with geoid model\s+(\S+)/i);
+        if (modelMatch) {
+            record.currentControl.geoidModel = modelMatch[1];
+            return;
+        }
+
+        const valueMatch = content.match(VALUE_PATTERN);
+        if (valueMatch) {
+            record.currentControl.values.push({
+                label: valueMatch[1].trim(),
+                value: this.toNumber(valueMatch[2]),
+                unit: valueMatch[3].trim(),
+                remainder: valueMatch[4].trim() || null
+            });
+            return;
+        }
+
+        // Label/text lines such as "VERT ORDER - FIRST CLASS II" or "EPOCH - 2010.00"
+        const textMatch = content.match(/^([A-Z][A-Z0-9 ()]*?)\s*-\s*(.+)$/);
+        if (textMatch) {
+            record.currentControl.values.push({
+                label: textMatch[1].trim(),
+                value: textMatch[2].trim(),
+                unit: null,
+                remainder: null
+            });
+        }
+    }
+
+    // Parse one height line into { field, height }, e.g.
+    // "NAD 83(2011) ELLIP HT-   -68.367 (meters)        (06/27/12)   ADJUSTED"
+    // "NAVD 88 ORTHO HEIGHT -   -35.054 (meters)     -115.01  (feet) ADJUSTED"
+    // "GEOID HEIGHT    -        -33.31  (meters)                     GEOID18"
+    parseHeightLine(content) {
+        const match = content.match(HEIGHT_PATTERN);
+        if (!match) return null;
+
+        const field = HEIGHT_FIELDS[match[2]];
+        let remainder = match[5];
+        let valueFeet = null;
+        let date = null;
+
+        const feetMatch = remainder.match(/([-+]?[\d,]*\.?\d+)\s*\((?:feet|ft)\)/);
+        if (feetMatch) {
+            valueFeet = this.toNumber(feetMatch[1]);
+            remainder = remainder.replace(feetMatch[0], '');
+        }
+
+        const dateMatch = remainder.match(/\(([\d?]{2}\/[\d?]{2}\/[\d?]{2})\)/);
+        if (dateMatch) {
+            date = dateMatch[1];
+            remainder = remainder.replace(dateMatch[0], '');
+        }
+
+        // The trailing code is the source (ADJUSTED, GPS OBS, VERTCON, ...),
+        // except on the geoid height line where it names the geoid model
+        const code = remainder.trim().replace(/\s+/g, ' ') || null;
+        const isGeoid = field === 'geoidHeight';
+
+        return {
+            field,
+            height: {
+                value: this.toNumber(match[3]),
+                unit: 'meters',
+                valueFeet,
+                datum: match[1].trim() || null,
+                source: isGeoid ? null : code,
+                model: isGeoid ? code : null,
+                date
+            }
+        };
+    }
+
+    // Geocentric coordinates, Laplace correction, deflections and gravity:
+    // " DB0629  NAD 83(2011) X  -   -2,297,960.797 (meters)                   COMP"
+    // " DB0629  LAPLACE CORR    -         -3.21  (seconds)                    DEFLEC18"
+    // " DB0629  DEFLEC18 ETA    -          2.70  (seconds)                    DEFLEC18"
+    // " DB0629  MODELED GRAVITY -   979,562.6   (mgal)                       NAVD 88"
+    parseGeodeticValueLine(record, content) {
+        const match = content.match(VALUE_PATTERN);
+        if (!match) return false;
+
+        const label = match[1].trim();
+        const value = this.toNumber(match[2]);
+        const unit = match[3].trim();
+        const remainder = match[4].trim() || null;
+
+        const ecefMatch = label.match(/^(.*?)\s*\b([XYZ])$/);
+        if (ecefMatch && unit === 'meters') {
+            if (!record.ecef) {
+                record.ecef = { datum: ecefMatch[1] || null, x: null, y: null, z: null, unit, source: remainder };
+            }
+            record.ecef[ecefMatch[2].toLowerCase()] = value;
+            return true;
+        }
+
+        if (label === 'LAPLACE CORR') {
+            record.laplaceCorrection = { value, unit, model: remainder };
+            return true;
+        }
+
+        // Deflection of the vertical: XI (or PHI) north-south, ETA east-west
+        const deflectionMatch = label.match(/^(\S*?)\s*(XI|PHI|ETA)$/);
+        if (deflectionMatch) {
+            if (!record.deflection) {
+                record.deflection = { model: deflectionMatch[1] || remainder, xi: null, eta: null, unit };
+            }
+            record.deflection[deflectionMatch[2] === 'ETA' ? 'eta' : 'xi'] = value;
+            return true;
+        }
+
+        const gravityMatch = label.match(/^(MODELED|OBSERVED) GRAVITY$/);
+        if (gravityMatch) {
+            record.gravity[gravityMatch[1].toLowerCase()] = { value, unit, reference: remainder };
+            return true;
+        }
+
+        return false;
+    }
+
+    // Order lines and rows of the FGDC accuracy table:
+    // " DB0629  VERT ORDER      -  FIRST     CLASS II"
+    // " DB0629  NETWORK   1.18   2.31           0.47   0.49   1.18      -0.00587716"
+    // The second column is the ellipsoid height accuracy, which is the
+    // vertical accuracy NGS publishes with the network estimates.
+    parseAccuracyLine(record, content) {
+        const orderMatch = content.match(/^(HORZ|VERT|ELLP) ORDER\s*-\s*(\S+)(?:\s+CLASS\s+(\S+))?/);
+        if (orderMatch) {
+            const order = orderMatch[2] === '?' ? null : orderMatch[2];
+            const orderClass = orderMatch[3] || null;
+
+            if (orderMatch[1] === 'HORZ') {
+                record.accuracy.horizontalOrder = order;
+            } else if (orderMatch[1] === 'VERT') {
+                record.accuracy.verticalOrder = order;
+                record.accuracy.verticalClass = orderClass;
+            } else {
+                record.accuracy.ellipsoidOrder = order;
+                record.accuracy.ellipsoidClass = orderClass;
+            }
+            return true;
+        }
+
+        const tableMatch = content.match(/^(NETWORK|LOCAL)\s+([\d.]+)\s+([\d.]+)/);
+        if (tableMatch) {
+            const prefix = tableMatch[1] === 'NETWORK' ? 'network' : 'local';
+            record.accuracy[`${prefix}HorizontalCm`] = this.toNumber(tableMatch[2]);
+            record.accuracy[`${prefix}VerticalCm`] = this.toNumber(tableMatch[3]);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Decode the marker, setting, stability and magnetic codes of the mark
+    // description into { code, label } pairs
+    resolveMonument(record) {
+        const description = record.markDescription;
+
+        record.monument = {
+            marker: ngsCodes.decodeMarker(description.marker),
+            setting: ngsCodes.decodeSetting(description.setting),
+            stability: ngsCodes.decodeStability(description.stability),
+            magnetic: ngsCodes.decodeMagnetic(description.magnetic),
+            stamping: description.stamping || null,
+            logo: description.markLogo || null,
+            projection: description.projection || null
+        };
+    }
+
+    // Name the datums the current position and orthometric height are on.
+    // Territories use their own NAD 83 frames (PA11, MA11) and local
+    // vertical datums (PRVD02, VIVD09, GUVD04, NMVD03, ASVD02).
+    resolveDatums(record) {
+        const position = record.currentControl.position;
+
+        record.region = ngsCodes.decodeRegion(record.header.state);
+        record.datums.horizontal = position ? ngsCodes.decodeDatum(position.datum) : null;
+        record.datums.vertical = record.orthometricHeight
+            ? ngsCodes.decodeDatum(record.orthometricHeight.datum)
+            : null;
+    }
+
+    // Stability letter from the decoded mark description and the control
+    // designations from the header flags (TIDAL BM, CBN, PACS, ...)
+    resolveAccuracy(record) {
+        record.accuracy.stability = record.monument.stability ? record.monument.stability.code : null;
+        record.accuracy.controlDesignations = record.header.flags.map(flag => flag.flag);
+    }
+
+    // Geoid and dynamic height lines carry no datum of their own: the geoid
+    // height is relative to the position's ellipsoid and the dynamic height
+    // to the orthometric datum. The orthometric height takes the geoid model
+    // from the "determined with geoid model" note.
+    resolveHeightDatums(record) {
+        const ellipsoidDatum = record.ellipsoidHeight
+            ? record.ellipsoidHeight.datum
+            : (record.currentControl.position && record.currentControl.position.datum);
+
+        if (record.geoidHeight && !record.geoidHeight.datum) {
+            record.geoidHeight.datum = ellipsoidDatum || null;
+        }
+
+        if (record.dynamicHeight && !record.dynamicHeight.datum && record.orthometricHeight) {
+            record.dynamicHeight.datum = record.orthometricHeight.datum;
+        }
+
+        if (record.orthometricHeight && !record.orthometricHeight.model) {
+            record.orthometricHeight.model = record.currentControl.geoidModel;
+        }
+    }
+
+    // " DB0629;SPC CA 6     -   604,523.215 2,096,374.592   MT  0.99996813   +0 22 10.6"
+    parseGridLine(record, content) {
+        const match = content.match(GRID_PATTERN);
+        if (!match) return;
+
+        const convergence = match[6].trim();
+        const row = {
+            zone: match[1].replace(/^(SPC|UTM)\s+/, '').trim(),
+            northing: this.toNumber(match[2]),
+            easting: this.toNumber(match[3]),
+            units: match[4],
+            unitName: GRID_UNITS[match[4]] || null,
+            convergence,
+            convergenceDegrees: this.parseSignedDms(convergence),
+            scaleFactor: this.toNumber(match[5]),
+            elevationFactor: null,
+            combinedFactor: null
+        };
+
+        if (match[1].startsWith('SPC')) {
+            record.spc.push(row);
+        } else {
+            record.utm.push(row);
+        }
+    }
+
+    // " DB0629!SPC CA 6     -   1.00001073  x   0.99996813  =   0.99997886"
+    // The factors apply to every row of the zone (meters and feet alike)
+    parseGridFactorLine(record, content) {
+        const match = content.match(FACTOR_PATTERN);
+        if (!match) return;
+
+        const zone = match[1].replace(/^(SPC|UTM)\s+/, '').trim();
+        const rows = match[1].startsWith('SPC') ? record.spc : record.utm;
+
+        rows.filter(row => row.zone === zone).forEach(row => {
+            row.elevationFactor = this.toNumber(match[2]);
+            row.combinedFactor = this.toNumber(match[4]);
+        });
+    }
+
+    // Convert a signed "+0 22 10.6" angle to decimal degrees
+    parseSignedDms(text) {
+        const match = text.match(/^([+-]?)(\d+)\s+(\d+)\s+([\d.]+)$/);
+        if (!match) return null;
+
+        const value = this.toDecimalDegrees(match[2], match[3], match[4]);
+        return match[1] === '-' ? -value : value;
+    }
+
+    // " DB0629| DB1234 -59 Y RM 1                  12.345 METERS 0451230.0 |"
+    // " DB0629| DB1236 NILAND WATER TANK          APPROX. 1.2 KM 2034512.3 |"
+    // " HV9490| HV9491 ROCK RM 1                  13.645 METERS 05806     |"
+    // PID, distance and azimuth are each optional in a row. Azimuths are
+    // dddmmss.s, or just dddmm (usual for reference marks); a bare 5-digit
+    // number is only taken as one after a distance, since names end in
+    // numbers too.
+    parseBoxScoreLine(record, content) {
+        let row = content.replace(/^\|/, '').replace(/\|$/, '').trim();
+        if (!row || /^-+$/.test(row) || row.includes('Reference Object') || row.includes('dddmmss')) return;
+
+        let pid = null;
+        const pidMatch = row.match(/^([A-Z]{2}\d{4})\s+/);
+        if (pidMatch) {
+            pid = pidMatch[1];
+            row = row.slice(pidMatch[0].length);
+        }
+
+        let azimuth = null;
+        const azimuthMatch = row.match(/\s*(\d{7}(?:\.\d+)?|(?<=(?:METERS|KM|MI|FT|M)\s+)\d{5})$/);
+        if (azimuthMatch) {
+            azimuth = azimuthMatch[1];
+            row = row.slice(0, azimuthMatch.index);
+        }
+
+        let distance = null;
+        const distanceMatch = row.match(/\s*(APPROX\.\s*)?([\d,]*\.?\d+)\s*(METERS|KM|MI|FT|M)$/);
+        if (distanceMatch) {
+            const value = this.toNumber(distanceMatch[2]);
+            distance = {
+                value,
+                unit: distanceMatch[3],
+                meters: value * DISTANCE_UNITS[distanceMatch[3]],
+                approximate: Boolean(distanceMatch[1])
+            };
+            row = row.slice(0, distanceMatch.index);
+        }
+
+        const name = row.trim();
+
+        record.relatedMarks.push({
+            pid,
+            name,
+            relation: /\bAZ\s*MK\b/.test(name)
+                ? 'azimuth mark'
+                : (/\bRM\s*\d*\b/.test(name) ? 'reference mark' : 'nearby station'),
+            distance,
+            azimuth,
+            azimuthDegrees: azimuth
+                ? this.toDecimalDegrees(azimuth.slice(0, 3), azimuth.slice(3, 5), azimuth.slice(5) || '0')
+                : null
+        });
+    }
+
+    // Superseded rows become the mark's datum history, kept in datasheet
+    // order (most recent realization first):
+    // " DB0629  NAD 83(1986)-  33 07 29.51210(N)    115 30 59.92520(W) AD(       ) 1"
+    // " DB0629  ELLIP H (02/10/07)   -68.379  (m)                        GP(2002.00)"
+    // " DB0629  NAVD 88 (06/27/12)  -35.05  (m)        -115.0  (f) LEVELING    3"
+    parseSupersededLine(record, content) {
+        const positionMatch = content.match(SUPERSEDED_POSITION_PATTERN);
+        if (positionMatch) {
+            record.history.push({
+                kind: 'horizontal',
+                datum: positionMatch[1].replace(/\s+/g, ' ').replace(' (', '('),
+                date: null,
+                latitude: this.toDecimalDegrees(positionMatch[2], positionMatch[3], positionMatch[4], positionMatch[5]),
+                longitude: this.toDecimalDegrees(positionMatch[6], positionMatch[7], positionMatch[8], positionMatch[9]),
+                latitudeDms: `${positionMatch[2]} ${positionMatch[3]} ${positionMatch[4]}(${positionMatch[5]})`,
+                longitudeDms: `${positionMatch[6]} ${positionMatch[7]} ${positionMatch[8]}(${positionMatch[9]})`,
+                height: null,
+                heightFeet: null,
+                ...this.parseSupersededCode(positionMatch[10])
+            });
+            return;
+        }
+
+        const heightMatch = content.match(SUPERSEDED_HEIGHT_PATTERN);
+        if (heightMatch) {
+            const label = heightMatch[1].trim();
+            const isEllipsoid = label.startsWith('ELLIP');
+
+            // An ELLIP H row belongs to the NAD 83 realization listed above it
+            const horizontal = record.history.filter(entry => entry.kind === 'horizontal').pop();
+
+            record.history.push({
+                kind: isEllipsoid ? 'ellipsoidHeight' : 'vertical',
+                datum: isEllipsoid ? (horizontal ? horizontal.datum : null) : label,
+                date: heightMatch[2],
+                latitude: null,
+                longitude: null,
+                latitudeDms: null,
+                longitudeDms: null,
+                height: this.toNumber(heightMatch[3]),
+                heightFeet: heightMatch[4] ? this.toNumber(heightMatch[4]) : null,
+                ...this.parseSupersededCode(heightMatch[5])
+            });
+        }
+    }
+
+    // Split the trailing source code of a superseded row, e.g. "AD(2002.00) 0",
+    // "GP(2002.00)", "LEVELING    3" or "ADJ UNCH   1 2", into source, epoch and order
+    parseSupersededCode(text) {
+        const code = text.trim();
+
+        const epochMatch = code.match(/^(\S+?)\(([^)]*)\)\s*(.*)$/);
+        if (epochMatch) {
+            return {
+                source: epochMatch[1],
+                epoch: epochMatch[2].trim() || null,
+                order: epochMatch[3].trim() || null
+            };
+        }
+
+        const parts = code.split(/\s{2,}/);
+        return {
+            source: parts[0] || null,
+            epoch: null,
+            order: parts.slice(1).join(' ') || null
+        };
+    }
+
+    // " DB0629_MARKER: DD = SURVEY DISK"
+    parseMarkDescriptionLine(record, content) {
+        const match = content.match(/^([^:]+):\s*(.*)$/);
+        if (!match) return null;
+
+        const label = match[1].trim();
+        const value = match[2].trim();
+
+        if (label === 'U.S. NATIONAL GRID SPATIAL ADDRESS') {
+            const usngMatch = value.match(/^(\S+?)\s*\((.+)\)$/);
+            record.usng = usngMatch
+                ? { designation: usngMatch[1], datum: usngMatch[2] }
+                : { designation: value, datum: null };
+            return null;
+        }
+
+        const field = this.toFieldName(label);
+        record.markDescription[field] = value;
+        return field;
+    }
+
+    // " DB0629+STABILITY: SURFACE MOTION" continues the previous "_STABILITY:" line
+    parseMarkDescriptionContinuation(record, content, lastField) {
+        if (!lastField) return;
+
+        const value = content.replace(/^[^:]+:\s*/, '').trim();
+        record.markDescription[lastField] = `${record.markDescription[lastField]} ${value}`.trim();
+    }
+
+    // " DB0629  HISTORY     - 20020112 GOOD             NGS"
+    parseHistoryLine(recovery, content) {
+        const match = content.match(/^HISTORY\s+-\s+(\S+)\s+(.+?)\s{2,}(\S.*)$/);
+        if (!match || match[1] === 'Date') return;
+
+        recovery.historyTable.push({
+            date: match[1],
+            condition: match[2].trim(),
+            reportedBy: match[3].trim()
+        });
+    }
+
+    appendDescriptionText(record, recovery, section, content) {
+        if (section === 'recovery' && recovery.paragraphs.length > 0) {
+            const paragraph = recovery.paragraphs[recovery.paragraphs.length - 1];
+            paragraph.text = paragraph.text ? `${paragraph.text}\n${content}` : content;
+        } else {
+            record.stationDescription = record.stationDescription
+                ? `${record.stationDescription}\n${content}`
+                : content;
+        }
+    }
+
+    // HISTORY dates are "1934", "198906" or "20020112"; return "1934",
+    // "1989-06" or "2002-01-12" so events sort as plain strings
+    normalizeHistoryDate(date) {
+        const match = date.match(/^(\d{4})(\d{2})?(\d{2})?$/);
+        if (!match) return date;
+
+        return [match[1], match[2], match[3]].filter(Boolean).join('-');
+    }
+
+    // Merge the HISTORY table with the STATION RECOVERY paragraphs into dated
+    // recovery events. A paragraph belongs to the table row of the same year;
+    // paragraphs without a row still become events, just without a condition.
+    buildRecoveries(record, recovery) {
+        const paragraphs = [...recovery.paragraphs];
+
+        const events = recovery.historyTable.map(row => {
+            const date = this.normalizeHistoryDate(row.date);
+            const year = parseInt(date.slice(0, 4));
+            const index = paragraphs.findIndex(paragraph => paragraph.year === year);
+            const paragraph = index >= 0 ? paragraphs.splice(index, 1)[0] : null;
+
+            return this.createRecoveryEvent(date, year, row.condition, row.reportedBy, paragraph);
+        });
+
+        paragraphs.forEach(paragraph => {
+            events.push(this.createRecoveryEvent(String(paragraph.year), paragraph.year, null, null, paragraph));
+        });
+
+        events.sort((a, b) => a.date.localeCompare(b.date));
+        record.recoveries = events;
+
+        if (events.length === 0) return;
+
+        const monumented = events.find(event => event.condition === 'MONUMENTED');
+        record.established = (monumented || events[0]).date;
+
+        const withCondition = events.filter(event => event.condition);
+        const latest = withCondition.length > 0 ? withCondition[withCondition.length - 1] : events[events.length - 1];
+        record.lastRecovery = { date: latest.date, condition: latest.condition };
+    }
+
+    // "RECOVERY NOTE BY NATIONAL GEODETIC SURVEY 2002 (JDW)" names the agency
+    // and the observer's initials
+    createRecoveryEvent(date, year, condition, reportedBy, paragraph) {
+        const noteMatch = paragraph
+            ? paragraph.text.match(/^RECOVERY NOTE BY\s+(.+?)\s+\d{4}\s*(?:\((\w+)\))?/)
+            : null;
+
+        return {
+            date,
+            year,
+            condition,
+            reportedBy,
+            recoveredBy: noteMatch ? noteMatch[1].trim() : null,
+            observer: noteMatch && noteMatch[2] ? noteMatch[2] : null,
+            note: paragraph ? paragraph.text : null
+        };
+    }
+}
+
+module.exports = DatasheetRecordParser;
@@ -0,0 +1,271 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Readable, PassThrough, pipeline } = require('stream');
+const yauzl = require('yauzl');
+const { STATE_CODES } = require('./ngsCodes');
+const { isHtmlName, extractDatasheetText, extractState } = require('./htmlDatasheetAdapter');
+
+const openZipFile = promisify(yauzl.open);
+
+// Plain datasheet text files
+const TEXT_EXTENSIONS = ['.txt', '.dat'];
+
+// How much of an archive's text to search for a STATE/COUNTY line when its
+// name doesn't give the state
+const STATE_PEEK_LENGTH = 64 * 1024;
+
+// Datasheets are read in place from plain text, gzip (.gz) or the state ZIP
+// archives NGSDataFetcher downloads, so the archives never have to be
+// extracted first. Single marks saved from the NGS website (.html) are read
+// through htmlDatasheetAdapter.js.
+
+function isTextName(name) {
+    return TEXT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function isArchiveName(name) {
+    const extension = path.extname(name).toLowerCase();
+    return extension === '.zip' || extension === '.gz';
+}
+
+// Preference within a state folder: plain text, then .gz, then .zip
+function sourceRank(name) {
+    if (isTextName(name)) return 0;
+    return path.extname(name).toLowerCase() === '.gz' ? 1 : 2;
+}
+
+// State code of a top-level archive named for its state, such as "CA.zip",
+// "ak.txt.gz" or "HI_2024.zip"
+function archiveState(name) {
+    if (!isArchiveName(name)) return null;
+    const match = name.match(/^([A-Za-z]{2})(?:[._-]|$)/);
+    const state = match ? match[1].toUpperCase() : null;
+    return STATE_CODES.includes(state) ? state : null;
+}
+
+// State of a datasheet source from the STATE/COUNTY line of its first
+// datasheet, for archives whose name doesn't give it
+async function peekState(filePath) {
+    const input = openDatasheet(filePath);
+    let text = '';
+
+    try {
+        for await (const chunk of input) {
+            text += chunk.toString('latin1');
+            const state = extractState(text);
+            if (state || text.length >= STATE_PEEK_LENGTH) {
+                return STATE_CODES.includes(state) ? state : null;
+            }
+        }
+        return null;
+    } finally {
+        input.destroy();
+    }
+}
+
+// The datasheet entries of an open ZIP archive, in name order
+function zipDatasheetEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipfile.on('error', reject);
+        zipfile.on('entry', entry => {
+            if (!entry.fileName.endsWith('/') && isTextName(entry.fileName)) {
+                entries.push(entry);
+            }
+            zipfile.readEntry();
+        });
+        zipfile.once('end', () => resolve(entries.sort((a, b) => a.fileName.localeCompare(b.fileName))));
+        zipfile.readEntry();
+    });
+}
+
+// Stream one ZIP entry, inflated as it is read from disk. yauzl checks the
+// entry's size against the central directory; the CRC-32 is checked here, so
+// a damaged entry fails the file rather than parsing short.
+async function* readZipEntry(zipfile, entry) {
+    const input = await promisify(zipfile.openReadStream.bind(zipfile))(entry);
+    let crc = 0;
+
+    // Stored entries come as fd-slicer streams, which never end when
+    // iterated directly; a PassThrough turns them into ordinary streams
+    for await (const chunk of pipeline(input, new PassThrough(), () => {})) {
+        crc = zlib.crc32(chunk, crc);
+        yield chunk;
+    }
+    if (crc !== entry.crc32) {
+        throw new Error(`CRC-32 mismatch in ZIP entry ${entry.fileName}`);
+    }
+}
+
+// Every datasheet file of an archive, one after another, with a line break
+// between files that don't end in one. Entries are streamed from disk.
+// Starts at the entry named firstEntry if given; onEntry(name, offset) is
+// called with the text offset each entry starts at.
+function openZip(zipPath, { firstEntry = null, onEntry = null } = {}) {
+    return Readable.from((async function* () {
+        const zipfile = await openZipFile(zipPath, { lazyEntries: true, autoClose: false, validateEntrySizes: true });
+
+        try {
+            let entries = await zipDatasheetEntries(zipfile);
+            if (firstEntry !== null) {
+                const first = entries.findIndex(entry => entry.fileName === firstEntry);
+                if (first < 0) throw new Error(`No entry ${firstEntry} in ${path.basename(zipPath)}`);
+                entries = entries.slice(first);
+            }
+
+            let offset = 0;
+            for (const entry of entries) {
+                if (onEntry) onEntry(entry.fileName, offset);
+
+                let last = null;
+                for await (const chunk of readZipEntry(zipfile, entry)) {
+                    if (chunk.length > 0) {
+                        last = chunk;
+                        offset += chunk.length;
+                        yield chunk;
+                    }
+                }
+                if (last && last[last.length - 1] !== 0x0a) {
+                    offset++;
+                    yield Buffer.from('\n');
+                }
+            }
+        } finally {
+            zipfile.close();
+        }
+    })(), { objectMode: false });
+}
+
+// Open a datasheet file as a readable stream of its text, whatever it is
+// stored in. options.onEntry is passed on for ZIP archives (see openZip).
+function openDatasheet(filePath, options = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.zip') {
+        return openZip(filePath, { onEntry: options.onEntry });
+    }
+    if (extension === '.gz') {
+        return pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+    }
+    if (isHtmlName(filePath)) {
+        return Readable.from((async function* () {
+            yield Buffer.from(extractDatasheetText(await fs.readFile(filePath, 'utf8')));
+        })(), { objectMode: false });
+    }
+    return fs.createReadStream(filePath);
+}
+
+// Bytes skip to skip + length of a stream, which is closed once they are read
+async function readStreamRange(input, skip, length) {
+    const chunks = [];
+    let position = 0;
+
+    try {
+        for await (const chunk of input) {
+            const start = Math.max(skip - position, 0);
+            const end = Math.min(skip + length - position, chunk.length);
+            if (end > start) chunks.push(chunk.subarray(start, end));
+
+            position += chunk.length;
+            if (position >= skip + length) break;
+        }
+    } finally {
+        input.destroy();
+    }
+    return Buffer.concat(chunks);
+}
+
+// Read length bytes at offset of a datasheet file's text. Plain text is read
+// in place. A ZIP archive is inflated from the start of the entry holding the
+// offset, given entries ([name, offset] of each entry, from the PID index);
+// gzip and HTML sources are decompressed up to the range as it streams past,
+// so nothing is ever extracted to disk.
+async function readRange(filePath, offset, length, entries = null) {
+    if (isTextName(filePath)) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buffer, 0, length, offset);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    if (path.extname(filePath).toLowerCase() === '.zip' && entries && entries.length > 0) {
+        const [name, start] = entries.filter(([, entryOffset]) => entryOffset <= offset).pop() || entries[0];
+        return readStreamRange(openZip(filePath, { firstEntry: name }), offset - start, length);
+    }
+    return readStreamRange(openDatasheet(filePath), offset, length);
+}
+
+// List { state, filePath } for every datasheet source in the datasheet
+// folder. A state's main datasheet comes from its folder ("CA/CA.txt",
+// "CA/CA.txt.gz", "CA/CA.zip") or else a top-level archive, named for the
+// state ("CA.zip") or holding it on its first STATE/COUNTY line. Saved HTML
+// pages are extra sources: those in a state folder belong to that state,
+// top-level ones to the state on their STATE/COUNTY line. Sorted by state,
+// main datasheet first.
+async function listStateSources(datasheetDir) {
+    if (!await fs.pathExists(datasheetDir)) return [];
+
+    const sources = {};
+    const pages = [];
+    const names = (await fs.readdir(datasheetDir)).sort();
+
+    for (const name of names) {
+        const fullPath = path.join(datasheetDir, name);
+        const stat = await fs.stat(fullPath);
+
+        if (stat.isDirectory() && name.length <= 3) {
+            const files = (await fs.readdir(fullPath)).sort();
+            const datasheets = files
+                .filter(file => isTextName(file) || isArchiveName(file))
+                .sort((a, b) => sourceRank(a) - sourceRank(b) || a.localeCompare(b));
+
+            if (datasheets.length > 0) {
+                sources[name] = { state: name, filePath: path.join(fullPath, datasheets[0]) };
+            }
+            files.filter(isHtmlName).forEach(file => {
+                pages.push({ state: name, filePath: path.join(fullPath, file) });
+            });
+        } else if (stat.isFile() && isHtmlName(name)) {
+            const state = extractState(extractDatasheetText(await fs.readFile(fullPath, 'utf8')));
+            if (state) {
+                pages.push({ state, filePath: fullPath });
+            }
+        }
+    }
+
+    for (const name of names) {
+        const filePath = path.join(datasheetDir, name);
+        if (!isArchiveName(name) || !(await fs.stat(filePath)).isFile()) continue;
+
+        let state = archiveState(name);
+        if (!state) {
+            try {
+                state = await peekState(filePath);
+            } catch (error) {
+                console.warn(`Skipping ${name}: ${error.message}`);
+            }
+        }
+        if (state && !sources[state]) {
+            sources[state] = { state, filePath };
+        }
+    }
+
+    const states = [...new Set(Object.keys(sources).concat(pages.map(page => page.state)))].sort();
+    return states.flatMap(state => (sources[state] ? [sources[state]] : [])
+        .concat(pages.filter(page => page.state === state)));
+}
+
+module.exports = {
+    openDatasheet,
+    readRange,
+    listStateSources,
+    isTextName,
+    isArchiveName,
+    isHtmlName
+};
@@ -0,0 +1,54 @@
+const { parentPort, workerData } = require('worker_threads');
+const NGSDatasheetParser = require('./ngsDatasheetParser');
+
+// Benchmarks are posted back in batches of this size
+const BATCH_SIZE = 500;
+
+// Worker side of DatasheetWorkerPool: parses one state file per message and
+// posts its benchmarks back in file order.
+const parser = new NGSDatasheetParser(workerData.options);
+
+// What the main thread merges besides the benchmarks
+const takeReports = filePath => ({
+    diagnostics: parser.diagnostics.takeFile(parser.fileKey(filePath)),
+    pidIndex: parser.pidIndex.takeFile(parser.fileKey(filePath))
+});
+
+parentPort.on('message', async ({ index, state, filePath }) => {
+    let batch = [];
+    let count = 0;
+
+    try {
+        for await (const benchmark of parser.iterateBenchmarks(filePath, state, {
+            datasheetUrl: parser.datasheetUrl(filePath),
+            sourceFile: parser.fileKey(filePath)
+        })) {
+            batch.push(benchmark);
+            count++;
+
+            if (batch.length >= BATCH_SIZE) {
+                parentPort.postMessage({ type: 'benchmarks', index, benchmarks: batch, count });
+                batch = [];
+            }
+        }
+
+        parentPort.postMessage({ type: 'benchmarks', index, benchmarks: batch, count });
+        parentPort.postMessage({
+            type: 'done',
+            index,
+            count,
+            reports: takeReports(filePath)
+        });
+    } catch (error) {
+        // Same as the serial path: keep what was parsed, record the failure
+        parser.diagnostics.fileFailed(state, parser.fileKey(filePath), error);
+        parentPort.postMessage({ type: 'benchmarks', index, benchmarks: batch, count });
+        parentPort.postMessage({
+            type: 'done',
+            index,
+            count,
+            reports: takeReports(filePath),
+            error: error.message
+        });
+    }
+});
@@ -0,0 +1,120 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Parses several state files at once on worker threads. Workers pick up the
+// next state as soon as they finish one, but run() always yields
+// { state, filePath, benchmarks, reports } groups in the order of the
+// state list, so the merged output is the same as the serial path's. Each
+// group's benchmarks must be drained before the next group is pulled; its
+// reports() (diagnostics and PID index) are available after that. States
+// that finish ahead of the one being yielded are held in memory until their
+// turn, at most `size` of them: past that, workers wait for the consumer to
+// move on before taking another state.
+class DatasheetWorkerPool {
+    constructor(size, parserOptions = {}) {
+        this.size = size;
+        this.parserOptions = parserOptions;
+    }
+
+    async *run(stateFiles) {
+        const results = stateFiles.map(() => ({ batches: [], done: false }));
+        const workers = [];
+        // Workers held back while too many finished states wait to be yielded
+        const idle = [];
+        let current = 0;
+        let nextIndex = 0;
+        let wake = null;
+        let failure = null;
+
+        const notify = () => {
+            if (wake) {
+                wake();
+                wake = null;
+            }
+        };
+
+        // Finished states after the one being yielded
+        const buffered = () => results.filter((result, index) => index > current && result.done).length;
+
+        const assign = (worker) => {
+            if (nextIndex >= stateFiles.length) return;
+            if (buffered() >= this.size) {
+                idle.push(worker);
+                return;
+            }
+
+            const index = nextIndex++;
+            const { state, filePath } = stateFiles[index];
+            console.log(`  [worker ${worker.id}] Parsing ${state} datasheets...`);
+            worker.postMessage({ index, state, filePath });
+        };
+
+        const workerCount = Math.min(this.size, stateFiles.length);
+        for (let id = 1; id <= workerCount; id++) {
+            const worker = new Worker(path.join(__dirname, 'datasheetWorker.js'), {
+                workerData: { options: this.parserOptions }
+            });
+            worker.id = id;
+
+            worker.on('message', (message) => {
+                const result = results[message.index];
+                const { state } = stateFiles[message.index];
+
+                if (message.type === 'benchmarks') {
+                    result.batches.push(message.benchmarks);
+                } else if (message.type === 'done') {
+                    result.done = true;
+                    result.reports = message.reports;
+                    if (message.error) {
+                        console.error(`  [worker ${worker.id}] Error parsing ${state}:`, message.error);
+                    }
+                    console.log(`  [worker ${worker.id}] -> Extracted ${message.count} benchmarks from ${state}`);
+                    assign(worker);
+                }
+                notify();
+            });
+
+            worker.on('error', (error) => {
+                failure = error;
+                notify();
+            });
+
+            workers.push(worker);
+            assign(worker);
+        }
+
+        // Wait for and yield one state's batches as they arrive
+        const drain = async function* (result) {
+            for (;;) {
+                if (failure) throw failure;
+
+                while (result.batches.length > 0) {
+                    yield* result.batches.shift();
+                }
+                if (result.done) return;
+
+                await new Promise(resolve => { wake = resolve; });
+            }
+        };
+
+        try {
+            for (let index = 0; index < stateFiles.length; index++) {
+                const result = results[index];
+                current = index;
+                while (idle.length > 0 && buffered() < this.size) {
+                    assign(idle.shift());
+                }
+
+                yield {
+                    ...stateFiles[index],
+                    benchmarks: drain(result),
+                    reports: () => result.reports || {}
+                };
+            }
+        } finally {
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+    }
+}
+
+module.exports = DatasheetWorkerPool;
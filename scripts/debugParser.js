@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const readline = require('readline');
+const NGSDatasheetParser = require('./ngsDatasheetParser');
 
 async function debugParser() {
     const testFile = path.join(__dirname, '..', 'data', 'datasheets', 'AK', 'AK.txt');
@@ -26,7 +27,7 @@ async function debugParser() {
     for await (const line of rl) {
         lineCount++;
         
-        if (line.includes('National Geodetic Survey, Retrieval Date')) {
+        if (line.includes(NGSDatasheetParser.RETRIEVAL_MARKER)) {
             retrievalCount++;
             if (retrievalCount <= 3) {
                 console.log(`Retrieval line ${retrievalCount}: ${line}`);
@@ -0,0 +1,174 @@
+const path = require('path');
+const NGSDatasheetParser = require('./ngsDatasheetParser');
+const { parseSelection, selectBenchmarks } = require('./benchmarkSelection');
+const { writeFeatureCollection } = require('./geojsonWriter');
+const { writeKml, writeKmz } = require('./kmlWriter');
+const { writeGpx } = require('./gpxWriter');
+const { writeShapefileZip } = require('./shapefileWriter');
+const { requireGeoPackageSupport } = require('./geopackageSupport');
+
+const EXPORT_DIR = path.join(__dirname, '..', 'data', 'exports');
+
+// GeoPackage output needs the native better-sqlite3 module; load it only
+// for that format
+const writeGeoPackage = (...args) => require('./geopackageWriter').writeGeoPackage(...args);
+
+// Export formats: file extension and writer(benchmarks, outputFile, options),
+// which returns the number of benchmarks written
+const EXPORT_FORMATS = {
+    geojson: { extension: '.geojson', write: writeFeatureCollection },
+    kml: { extension: '.kml', write: writeKml },
+    kmz: { extension: '.kmz', write: writeKmz },
+    gpx: { extension: '.gpx', write: writeGpx },
+    shapefile: { extension: '.zip', write: writeShapefileZip },
+    geopackage: { extension: '.gpkg', write: writeGeoPackage }
+};
+
+const USAGE = `Usage: node scripts/exportBenchmarks.js [options]
+
+Exports parsed benchmarks (see parseNGSDatasheets.js) for GIS tools.
+
+Options:
+  --format F          ${Object.keys(EXPORT_FORMATS).join(', ')} (default geojson)
+  --state CA,AK       Only these states
+  --type T1,T2        Only these legend types (horizontal, vertical, ...)
+  --bbox W,S,E,N      Only marks inside this box (decimal degrees)
+  --per-state         One file per state instead of one national file
+  --elevation         Add the orthometric height as Z (geojson)
+  --base-url URL      Viewer address for datasheet links (kml, kmz;
+                      default http://localhost:3000)
+  --input FILE        Parsed benchmarks
+                      (default data/processed/parsed_benchmarks.json)
+  --output PATH       Output file, or folder with --per-state
+                      (default data/exports/benchmarks.<ext>, data/exports/<format>/)
+  --help              Show this message`;
+
+// Turn the command line into export options
+function parseArgs(argv) {
+    const options = { format: 'geojson', perState: false, elevation: false, selection: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--format':
+                options.format = value.toLowerCase();
+                i++;
+                break;
+            case '--state':
+            case '--states':
+                options.selection.state = value;
+                i++;
+                break;
+            case '--type':
+            case '--types':
+                options.selection.type = value;
+                i++;
+                break;
+            case '--bbox':
+                options.selection.bbox = value;
+                i++;
+                break;
+            case '--per-state':
+                options.perState = true;
+                break;
+            case '--elevation':
+                options.elevation = true;
+                break;
+            case '--base-url':
+                options.baseUrl = value;
+                i++;
+                break;
+            case '--input':
+                options.inputFile = path.resolve(value);
+                i++;
+                break;
+            case '--output':
+                options.output = path.resolve(value);
+                i++;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!EXPORT_FORMATS[options.format]) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (options.format === 'geopackage') {
+        requireGeoPackageSupport();
+    }
+    options.selection = parseSelection(options.selection);
+
+    return options;
+}
+
+// Write the national file, or one file per state; returns
+// [{ file, count }] for every file written
+async function exportBenchmarks(options) {
+    const format = EXPORT_FORMATS[options.format];
+    const parser = new NGSDatasheetParser(options.inputFile ? { outputFile: options.inputFile } : {});
+    const selection = options.selection;
+    const written = [];
+
+    if (!options.perState) {
+        const outputFile = options.output || path.join(EXPORT_DIR, `benchmarks${format.extension}`);
+        const benchmarks = selectBenchmarks(parser.iterateParsedBenchmarks(selection.states), selection);
+        const count = await format.write(benchmarks, outputFile, { ...options, name: 'NGS benchmarks' });
+        written.push({ file: outputFile, count });
+        return written;
+    }
+
+    const outputDir = options.output || path.join(EXPORT_DIR, options.format);
+    const states = selection.states || await parser.listParsedStates();
+
+    for (const state of states) {
+        const outputFile = path.join(outputDir, `${state}${format.extension}`);
+        const benchmarks = selectBenchmarks(parser.iterateParsedBenchmarks([state]), { ...selection, states: null });
+        const count = await format.write(benchmarks, outputFile, { ...options, name: `NGS benchmarks ${state}` });
+        written.push({ file: outputFile, count });
+    }
+
+    return written;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let options;
+
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        const written = await exportBenchmarks(options);
+
+        written.forEach(({ file, count }) => {
+            console.log(`  ${path.relative(process.cwd(), file)}: ${count} benchmarks`);
+        });
+        console.log(`\nExported ${written.reduce((total, { count }) => total + count, 0)} benchmarks to ${written.length} ${options.format} file(s)`);
+
+    } catch (error) {
+        console.error('Export failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { main, parseArgs, exportBenchmarks, EXPORT_FORMATS };
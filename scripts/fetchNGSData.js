@@ -5,7 +5,11 @@ const path = require('path');
 const AdmZip = require('adm-zip');
 
 class NGSDataFetcher {
-    constructor() {
+    // options.extractDatasheets: also unzip datasheet archives to
+    // datasheets/extracted/. The parser and server read the archives
+    // directly, so this is only needed for other tools.
+    constructor(options = {}) {
+        this.extractDatasheets = options.extractDatasheets || false;
         this.baseDatasheetUrl = 'https://geodesy.noaa.gov/pub/DS_ARCHIVE/DataSheets/';
         this.baseShapefileUrl = 'https://www.ngs.noaa.gov/cgi-bin/sf_archive.prl';
         this.dataDir = path.join(__dirname, '..', 'data');
@@ -180,7 +184,7 @@ class NGSDataFetcher {
         for (const file of limitedFiles) {
             const filePath = await this.downloadFile(file, this.datasheetDir);
             
-            if (filePath && path.extname(filePath) === '.zip') {
+            if (filePath && this.extractDatasheets && path.extname(filePath) === '.zip') {
                 const extractPath = path.join(this.datasheetDir, 'extracted', path.basename(filePath, '.zip'));
                 await fs.ensureDir(extractPath);
                 await this.extractZipFile(filePath, extractPath);
@@ -245,6 +249,15 @@ class NGSDataFetcher {
         }
 
         const inventoryPath = path.join(this.processedDir, 'inventory.json');
+
+        // Keep the parser's per-file hashes so the next parse stays incremental
+        if (await fs.pathExists(inventoryPath)) {
+            const previous = await fs.readJson(inventoryPath);
+            if (previous.parsed) {
+                inventory.parsed = previous.parsed;
+            }
+        }
+
         await fs.writeJson(inventoryPath, inventory, { spaces: 2 });
         
         console.log(`Data inventory saved to: ${inventoryPath}`);
@@ -275,7 +288,7 @@ class NGSDataFetcher {
 
 // Run if called directly
 if (require.main === module) {
-    const fetcher = new NGSDataFetcher();
+    const fetcher = new NGSDataFetcher({ extractDatasheets: process.argv.includes('--extract') });
     fetcher.run();
 }
 
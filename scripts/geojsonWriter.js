@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { toAttributes } = require('./benchmarkAttributes');
+const { countBenchmarks } = require('./benchmarkSelection');
+
+// GeoJSON (RFC 7946) FeatureCollection of benchmarks: one Point per mark at
+// its current NAD 83 position (within a meter or two of WGS 84, which is all
+// the spec allows for), with the flat attribute table of
+// benchmarkAttributes.js as properties plus the datasheet's collections
+// (superseded history, recoveries, box score, SPC / UTM, notes) as nested
+// JSON. Written one feature per line so a national file streams.
+
+// Point geometry; with options.elevation the orthometric height becomes Z
+function toGeometry(benchmark, options = {}) {
+    const coordinates = [benchmark.longitude, benchmark.latitude];
+    const height = benchmark.orthometricHeight ? benchmark.orthometricHeight.value : null;
+
+    if (options.elevation && height !== null) {
+        coordinates.push(height);
+    }
+
+    return { type: 'Point', coordinates };
+}
+
+function toFeature(benchmark, options = {}) {
+    return {
+        type: 'Feature',
+        id: benchmark.id,
+        geometry: toGeometry(benchmark, options),
+        properties: {
+            ...toAttributes(benchmark),
+            datums: benchmark.datums || null,
+            ellipsoid_height_datum: benchmark.ellipsoidHeight ? benchmark.ellipsoidHeight.datum : null,
+            mark_description: benchmark.markDescription || null,
+            station_description: benchmark.stationDescription || null,
+            notes: benchmark.notes || [],
+            history: benchmark.history || [],
+            recoveries: benchmark.recoveries || [],
+            related_marks: benchmark.relatedMarks || [],
+            spc: benchmark.spc || [],
+            utm: benchmark.utm || []
+        }
+    };
+}
+
+// Yield the FeatureCollection text in chunks for any (async) iterable of
+// benchmarks. options: { elevation, name } (name becomes the layer name in
+// GDAL based tools such as QGIS)
+async function* iterateFeatureCollection(benchmarks, options = {}) {
+    const name = options.name ? `"name":${JSON.stringify(options.name)},` : '';
+    let count = 0;
+
+    yield `{"type":"FeatureCollection",${name}"features":[`;
+    for await (const benchmark of benchmarks) {
+        yield `${count === 0 ? '' : ','}\n${JSON.stringify(toFeature(benchmark, options))}`;
+        count++;
+    }
+    yield count === 0 ? ']}\n' : '\n]}\n';
+}
+
+// Write a FeatureCollection file; returns the number of features
+async function writeFeatureCollection(benchmarks, outputFile, options = {}) {
+    await fs.ensureDir(path.dirname(outputFile));
+
+    const counted = countBenchmarks();
+    const tempFile = `${outputFile}.tmp`;
+    await pipeline(Readable.from(iterateFeatureCollection(counted.wrap(benchmarks), options)), fs.createWriteStream(tempFile));
+    await fs.move(tempFile, outputFile, { overwrite: true });
+
+    return counted.count;
+}
+
+module.exports = {
+    toFeature,
+    iterateFeatureCollection,
+    writeFeatureCollection
+};
@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+const { rtreeTable } = require('./geopackageWriter');
+const { matchesSelection } = require('./benchmarkSelection');
+
+// Rows fetched per query when iterating a selection
+const PAGE_SIZE = 1000;
+
+// Read-only access to the GeoPackage written by geopackageWriter.js, so the
+// server can look up a mark or a bounding box without loading every
+// benchmark. Records come back exactly as in parsed_benchmarks.json, in
+// file order across the per-datum layers.
+class GeoPackageStore {
+    constructor(file) {
+        this.file = file;
+        this.db = null;
+        this.mtimeMs = null;
+        this.layers = [];
+    }
+
+    // Open the file, re-opening it when the parser has replaced it
+    async open() {
+        const stats = await fs.stat(this.file);
+
+        if (!this.db || stats.mtimeMs !== this.mtimeMs) {
+            if (this.db) this.db.close();
+            this.db = new Database(this.file, { readonly: true, fileMustExist: true });
+            this.mtimeMs = stats.mtimeMs;
+            this.layers = this.db.prepare('SELECT table_name FROM gpkg_geometry_columns ORDER BY table_name')
+                .all().map(row => row.table_name);
+        }
+
+        return this;
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+        this.mtimeMs = null;
+        this.layers = [];
+    }
+
+    // Every layer's rows as one table of (fid, pid, record_json)
+    features() {
+        return `(${this.layers.map(table => `SELECT fid, pid, record_json FROM "${table}"`).join(' UNION ALL ')})`;
+    }
+
+    find(pid) {
+        const row = this.db.prepare(`SELECT record_json FROM ${this.features()} WHERE pid = ? ORDER BY fid LIMIT 1`).get(pid);
+        return row ? JSON.parse(row.record_json) : null;
+    }
+
+    // Yield the benchmarks matching a selection (see benchmarkSelection.js)
+    // in file order. The bbox is narrowed with the R-tree, whose float
+    // bounds are then checked exactly. Rows are read a page at a time so no
+    // query is left open between yields.
+    *select(selection = {}) {
+        const conditions = ['fid > ?'];
+        const params = [];
+        let rtreeCondition = null;
+
+        if (selection.states) {
+            conditions.push(`state IN (${selection.states.map(() => '?').join(', ')})`);
+            params.push(...selection.states);
+        }
+        if (selection.types) {
+            conditions.push(`type IN (${selection.types.map(() => '?').join(', ')})`);
+            params.push(...selection.types);
+        }
+        if (selection.bbox) {
+            const { west, south, east, north } = selection.bbox;
+            const longitude = west <= east ? 'maxx >= ? AND minx <= ?' : '(maxx >= ? OR minx <= ?)';
+            rtreeCondition = table => `fid IN (SELECT id FROM "${rtreeTable(table)}" WHERE miny <= ? AND maxy >= ? AND ${longitude})`;
+            params.push(north, south, west, east);
+        }
+
+        // The same conditions on each layer, each with its own R-tree
+        const layerQueries = this.layers.map(table => `SELECT fid, record_json FROM "${table}"
+            WHERE ${conditions.concat(rtreeCondition ? [rtreeCondition(table)] : []).join(' AND ')}`);
+        const query = this.db.prepare(`SELECT fid, record_json FROM (${layerQueries.join(' UNION ALL ')})
+            ORDER BY fid LIMIT ${PAGE_SIZE}`);
+        let lastFid = 0;
+
+        for (;;) {
+            const rows = query.all(...this.layers.flatMap(() => [lastFid, ...params]));
+
+            for (const row of rows) {
+                const benchmark = JSON.parse(row.record_json);
+                if (!selection.bbox || matchesSelection(benchmark, selection)) {
+                    yield benchmark;
+                }
+            }
+
+            if (rows.length < PAGE_SIZE) return;
+            lastFid = rows[rows.length - 1].fid;
+        }
+    }
+
+    // A mark with every mark its box score names and every mark whose box
+    // score names it: all NGSDatasheetParser.buildRelationshipGraph needs
+    // for that mark's edges
+    relatedBenchmarks(pid) {
+        return this.db.prepare(`SELECT record_json FROM ${this.features()}
+            WHERE pid = ?
+               OR pid IN (SELECT related_pid FROM benchmark_relations WHERE pid = ?)
+               OR pid IN (SELECT pid FROM benchmark_relations WHERE related_pid = ?)
+            ORDER BY fid`).all(pid, pid, pid).map(row => JSON.parse(row.record_json));
+    }
+}
+
+module.exports = GeoPackageStore;
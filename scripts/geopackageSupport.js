@@ -0,0 +1,35 @@
+// GeoPackage output and the server's GeoPackage reader need better-sqlite3,
+// a native module that is not installed with the viewer's dependencies. The
+// command line tools check for it when --geopackage is asked for, and the
+// server keeps to the JSON output without it.
+
+const GEOPACKAGE_MODULE = 'better-sqlite3';
+const GEOPACKAGE_UNAVAILABLE = `GeoPackage support needs the ${GEOPACKAGE_MODULE} module; install it with "npm install ${GEOPACKAGE_MODULE}"`;
+
+// Whether the module resolves; checked once per process
+let available = null;
+
+function hasGeoPackageSupport() {
+    if (available === null) {
+        try {
+            require.resolve(GEOPACKAGE_MODULE);
+            available = true;
+        } catch (error) {
+            available = false;
+        }
+    }
+    return available;
+}
+
+// Throw the install hint when GeoPackage support is missing
+function requireGeoPackageSupport() {
+    if (!hasGeoPackageSupport()) {
+        throw new Error(GEOPACKAGE_UNAVAILABLE);
+    }
+}
+
+module.exports = {
+    GEOPACKAGE_UNAVAILABLE,
+    hasGeoPackageSupport,
+    requireGeoPackageSupport
+};
@@ -0,0 +1,351 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ATTRIBUTE_FIELDS, toAttributes } = require('./benchmarkAttributes');
+const { REFERENCE_SYSTEMS, UNDEFINED_SYSTEM, referenceSystem } = require('./referenceSystems');
+
+// GeoPackage (OGC 12-128r18, version 1.3) of benchmarks: point feature
+// tables with the benchmarkAttributes.js columns and the full record as
+// JSON, each with an R-tree spatial index, and child tables for superseded
+// history, recoveries and box score relations keyed by the feature's fid.
+// A feature table holds one reference system, so there is a layer per
+// datum the positions are on (referenceSystems.js): "benchmarks" for
+// NAD 83(2011), "benchmarks_nad83_pa11" and so on for the others. fids are
+// numbered across the layers in file order. QGIS and GDAL open it directly;
+// server.js reads it with GeoPackageStore.
+
+const FEATURE_TABLE = 'benchmarks';
+const GEOMETRY_COLUMN = 'geom';
+
+// The layer of the NAD 83(2011) positions, always written
+const MAIN_SYSTEM = REFERENCE_SYSTEMS[0];
+
+const layerTable = system => (system === MAIN_SYSTEM ? FEATURE_TABLE : `${FEATURE_TABLE}_${system.key}`);
+const rtreeTable = table => `rtree_${table}_${GEOMETRY_COLUMN}`;
+
+const GPKG_APPLICATION_ID = 0x47504b47; // "GPKG"
+const GPKG_VERSION = 10300;
+
+// Rows per transaction while loading
+const BATCH_SIZE = 5000;
+
+const distance = mark => mark.distance || {};
+
+// Child tables, each a list of { name, type, value(item) } like ATTRIBUTE_FIELDS
+const CHILD_TABLES = [
+    {
+        table: 'benchmark_history',
+        description: 'Superseded positions and heights from the datasheet SUPERSEDED SURVEY CONTROL section',
+        items: benchmark => benchmark.history,
+        fields: [
+            { name: 'kind', type: 'string', value: h => h.kind },
+            { name: 'datum', type: 'string', value: h => h.datum },
+            { name: 'date', type: 'string', value: h => h.date },
+            { name: 'latitude', type: 'number', value: h => h.latitude },
+            { name: 'longitude', type: 'number', value: h => h.longitude },
+            { name: 'latitude_dms', type: 'string', value: h => h.latitudeDms },
+            { name: 'longitude_dms', type: 'string', value: h => h.longitudeDms },
+            { name: 'height', type: 'number', value: h => h.height },
+            { name: 'height_feet', type: 'number', value: h => h.heightFeet },
+            { name: 'source', type: 'string', value: h => h.source },
+            { name: 'epoch', type: 'string', value: h => h.epoch },
+            { name: 'survey_order', type: 'string', value: h => h.order }
+        ]
+    },
+    {
+        table: 'benchmark_recoveries',
+        description: 'Station recoveries, oldest first',
+        items: benchmark => benchmark.recoveries,
+        fields: [
+            { name: 'date', type: 'string', value: r => r.date },
+            { name: 'year', type: 'integer', value: r => r.year },
+            { name: 'condition', type: 'string', value: r => r.condition },
+            { name: 'reported_by', type: 'string', value: r => r.reportedBy },
+            { name: 'recovered_by', type: 'string', value: r => r.recoveredBy },
+            { name: 'observer', type: 'string', value: r => r.observer },
+            { name: 'note', type: 'string', value: r => r.note }
+        ]
+    },
+    {
+        table: 'benchmark_relations',
+        description: 'Box score reference marks, azimuth marks and nearby stations',
+        items: benchmark => benchmark.relatedMarks,
+        fields: [
+            { name: 'related_pid', type: 'string', value: m => m.pid },
+            { name: 'related_name', type: 'string', value: m => m.name },
+            { name: 'relation', type: 'string', value: m => m.relation },
+            { name: 'distance_m', type: 'number', value: m => distance(m).meters },
+            { name: 'distance_value', type: 'number', value: m => distance(m).value },
+            { name: 'distance_unit', type: 'string', value: m => distance(m).unit },
+            { name: 'approximate', type: 'integer', value: m => (m.distance ? Number(m.distance.approximate) : null) },
+            { name: 'azimuth', type: 'string', value: m => m.azimuth },
+            { name: 'azimuth_degrees', type: 'number', value: m => m.azimuthDegrees }
+        ]
+    }
+];
+
+const SQL_TYPES = { string: 'TEXT', number: 'DOUBLE', integer: 'INTEGER' };
+
+const columnSql = field => `"${field.name}" ${SQL_TYPES[field.type]}`;
+const sqlValue = value => (value === undefined ? null : value);
+
+// GeoPackage geometry blob: "GP" header (little-endian, no envelope) and
+// the WKB of a 2D point
+function pointBlob(longitude, latitude, srsId = MAIN_SYSTEM.srsId) {
+    const blob = Buffer.alloc(8 + 21);
+    blob.write('GP', 0, 'ascii');
+    blob.writeUInt8(0, 2);
+    blob.writeUInt8(0x01, 3);
+    blob.writeInt32LE(srsId, 4);
+    blob.writeUInt8(1, 8);
+    blob.writeUInt32LE(1, 9);
+    blob.writeDoubleLE(longitude, 13);
+    blob.writeDoubleLE(latitude, 21);
+    return blob;
+}
+
+// Core GeoPackage tables with the reference systems the spec requires
+function createCoreTables(db) {
+    db.pragma(`application_id = ${GPKG_APPLICATION_ID}`);
+    db.pragma(`user_version = ${GPKG_VERSION}`);
+
+    db.exec(`
+        CREATE TABLE gpkg_spatial_ref_sys (
+            srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL,
+            organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT);
+        CREATE TABLE gpkg_contents (
+            table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+            description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+            min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+            CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+        CREATE TABLE gpkg_geometry_columns (
+            table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+            srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+            CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+            CONSTRAINT uk_gc_table_name UNIQUE (table_name),
+            CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+            CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+        CREATE TABLE gpkg_extensions (
+            table_name TEXT, column_name TEXT, extension_name TEXT NOT NULL,
+            definition TEXT NOT NULL, scope TEXT NOT NULL,
+            CONSTRAINT ge_tce UNIQUE (table_name, column_name, extension_name));
+    `);
+
+    const insertSrs = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+    insertSrs.run('Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system');
+    insertSrs.run('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system');
+    insertSrs.run('WGS 84 geodetic', 4326, 'EPSG', 4326,
+        'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+        'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid');
+}
+
+// A feature table for the benchmarks on one reference system
+function createLayer(db, system, name) {
+    const table = layerTable(system);
+
+    if (system !== UNDEFINED_SYSTEM) {
+        db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, \'EPSG\', ?, ?, ?)')
+            .run(system.name, system.srsId, system.srsId, system.definition, system.description);
+    }
+    db.exec(`
+        CREATE TABLE "${table}" (
+            fid INTEGER PRIMARY KEY AUTOINCREMENT,
+            "${GEOMETRY_COLUMN}" POINT,
+            ${ATTRIBUTE_FIELDS.map(columnSql).join(',\n            ')},
+            record_json TEXT NOT NULL);
+    `);
+    db.prepare(`INSERT INTO gpkg_contents (table_name, data_type, identifier, description, srs_id)
+        VALUES (?, 'features', ?, ?, ?)`).run(table, `${name} (${system.name})`,
+        `NGS benchmarks parsed from the datasheets, positions on ${system.description}`, system.srsId);
+    db.prepare('INSERT INTO gpkg_geometry_columns VALUES (?, ?, \'POINT\', ?, 0, 0)').run(table, GEOMETRY_COLUMN, system.srsId);
+
+    return table;
+}
+
+// Child rows point at their benchmark by fid, in whichever layer it is
+function createChildTables(db) {
+    CHILD_TABLES.forEach(child => {
+        db.exec(`
+            CREATE TABLE "${child.table}" (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                benchmark_fid INTEGER NOT NULL,
+                pid TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                ${child.fields.map(columnSql).join(',\n                ')});
+        `);
+        db.prepare(`INSERT INTO gpkg_contents (table_name, data_type, identifier, description)
+            VALUES (?, 'attributes', ?, ?)`).run(child.table, child.table, child.description);
+    });
+}
+
+// A layer's R-tree filled in one statement after loading, then the spec's
+// triggers so edits made in QGIS or GDAL (which provide the ST_ functions)
+// keep it current
+function createSpatialIndex(db, table) {
+    const rtree = rtreeTable(table);
+    const t = `"${table}"`;
+    const c = `"${GEOMETRY_COLUMN}"`;
+    const r = `"${rtree}"`;
+    const entry = `NEW.fid, ST_MinX(NEW.${c}), ST_MaxX(NEW.${c}), ST_MinY(NEW.${c}), ST_MaxY(NEW.${c})`;
+
+    db.exec(`
+        CREATE VIRTUAL TABLE ${r} USING rtree(id, minx, maxx, miny, maxy);
+        INSERT INTO ${r} SELECT fid, longitude, longitude, latitude, latitude FROM ${t} WHERE ${c} IS NOT NULL;
+
+        CREATE TRIGGER "${rtree}_insert" AFTER INSERT ON ${t}
+            WHEN (NEW.${c} NOT NULL AND NOT ST_IsEmpty(NEW.${c}))
+        BEGIN
+            INSERT OR REPLACE INTO ${r} VALUES (${entry});
+        END;
+        CREATE TRIGGER "${rtree}_update1" AFTER UPDATE OF ${c} ON ${t}
+            WHEN OLD.fid = NEW.fid AND (NEW.${c} NOTNULL AND NOT ST_IsEmpty(NEW.${c}))
+        BEGIN
+            INSERT OR REPLACE INTO ${r} VALUES (${entry});
+        END;
+        CREATE TRIGGER "${rtree}_update2" AFTER UPDATE OF ${c} ON ${t}
+            WHEN OLD.fid = NEW.fid AND (NEW.${c} ISNULL OR ST_IsEmpty(NEW.${c}))
+        BEGIN
+            DELETE FROM ${r} WHERE id = OLD.fid;
+        END;
+        CREATE TRIGGER "${rtree}_update3" AFTER UPDATE ON ${t}
+            WHEN OLD.fid != NEW.fid AND (NEW.${c} NOTNULL AND NOT ST_IsEmpty(NEW.${c}))
+        BEGIN
+            DELETE FROM ${r} WHERE id = OLD.fid;
+            INSERT OR REPLACE INTO ${r} VALUES (${entry});
+        END;
+        CREATE TRIGGER "${rtree}_update4" AFTER UPDATE ON ${t}
+            WHEN OLD.fid != NEW.fid AND (NEW.${c} ISNULL OR ST_IsEmpty(NEW.${c}))
+        BEGIN
+            DELETE FROM ${r} WHERE id IN (OLD.fid, NEW.fid);
+        END;
+        CREATE TRIGGER "${rtree}_delete" AFTER DELETE ON ${t}
+            WHEN OLD.${c} NOT NULL
+        BEGIN
+            DELETE FROM ${r} WHERE id = OLD.fid;
+        END;
+    `);
+
+    db.prepare(`INSERT INTO gpkg_extensions VALUES (?, ?, 'gpkg_rtree_index',
+        'http://www.geopackage.org/spec120/#extension_rtree', 'write-only')`).run(table, GEOMETRY_COLUMN);
+}
+
+// Attribute indexes and extent of a layer
+function createLayerIndexes(db, table) {
+    db.exec(`
+        CREATE INDEX "idx_${table}_pid" ON "${table}" (pid);
+        CREATE INDEX "idx_${table}_state_type" ON "${table}" (state, type);
+    `);
+
+    db.exec(`
+        UPDATE gpkg_contents SET
+            min_x = (SELECT MIN(longitude) FROM "${table}"),
+            min_y = (SELECT MIN(latitude) FROM "${table}"),
+            max_x = (SELECT MAX(longitude) FROM "${table}"),
+            max_y = (SELECT MAX(latitude) FROM "${table}"),
+            last_change = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE table_name = '${table}';
+    `);
+}
+
+function createChildIndexes(db) {
+    db.exec(`
+        ${CHILD_TABLES.map(child => `CREATE INDEX "idx_${child.table}_fid" ON "${child.table}" (benchmark_fid);
+        CREATE INDEX "idx_${child.table}_pid" ON "${child.table}" (pid);`).join('\n        ')}
+        CREATE INDEX "idx_benchmark_relations_related_pid" ON benchmark_relations (related_pid);
+    `);
+}
+
+// Insert statements for a benchmark and its child rows. Layers are created
+// as the first benchmark on their reference system comes; returns the
+// insert function and the layers, as Map of system -> table.
+function prepareInserts(db, name) {
+    const layers = new Map();
+    const insertFeatures = new Map();
+
+    const featureInsert = system => {
+        if (!insertFeatures.has(system)) {
+            const table = createLayer(db, system, name);
+            layers.set(system, table);
+            insertFeatures.set(system, db.prepare(`INSERT INTO "${table}" (fid, "${GEOMETRY_COLUMN}", ${ATTRIBUTE_FIELDS.map(field => `"${field.name}"`).join(', ')}, record_json)
+                VALUES (?, ?, ${ATTRIBUTE_FIELDS.map(() => '?').join(', ')}, ?)`));
+        }
+        return insertFeatures.get(system);
+    };
+    featureInsert(MAIN_SYSTEM);
+
+    const insertChildren = CHILD_TABLES.map(child => ({
+        child,
+        statement: db.prepare(`INSERT INTO "${child.table}" (benchmark_fid, pid, seq, ${child.fields.map(field => `"${field.name}"`).join(', ')})
+            VALUES (?, ?, ?, ${child.fields.map(() => '?').join(', ')})`)
+    }));
+
+    const insert = (benchmark, fid) => {
+        const attributes = toAttributes(benchmark);
+        const system = referenceSystem(benchmark);
+        featureInsert(system).run(
+            fid,
+            pointBlob(benchmark.longitude, benchmark.latitude, system.srsId),
+            ...ATTRIBUTE_FIELDS.map(field => attributes[field.name]),
+            JSON.stringify(benchmark)
+        );
+
+        insertChildren.forEach(({ child, statement }) => {
+            (child.items(benchmark) || []).forEach((item, seq) => {
+                statement.run(fid, benchmark.id, seq, ...child.fields.map(field => sqlValue(field.value(item))));
+            });
+        });
+    };
+
+    return { insert, layers };
+}
+
+// Write a GeoPackage for any (async) iterable of benchmarks; replaces the
+// old file only once complete. options: { name } (the layer identifier).
+// Returns the number of features.
+async function writeGeoPackage(benchmarks, outputFile, options = {}) {
+    await fs.ensureDir(path.dirname(outputFile));
+
+    const tempFile = `${outputFile}.tmp`;
+    await fs.remove(tempFile);
+
+    const db = new Database(tempFile);
+    let count = 0;
+
+    try {
+        db.pragma('journal_mode = OFF');
+        db.pragma('synchronous = OFF');
+
+        createCoreTables(db);
+        createChildTables(db);
+        const { insert, layers } = prepareInserts(db, options.name || 'NGS benchmarks');
+
+        db.exec('BEGIN');
+        for await (const benchmark of benchmarks) {
+            insert(benchmark, ++count);
+            if (count % BATCH_SIZE === 0) {
+                db.exec('COMMIT');
+                db.exec('BEGIN');
+            }
+        }
+        db.exec('COMMIT');
+
+        layers.forEach(table => {
+            createSpatialIndex(db, table);
+            createLayerIndexes(db, table);
+        });
+        createChildIndexes(db);
+    } finally {
+        db.close();
+    }
+
+    await fs.move(tempFile, outputFile, { overwrite: true });
+    return count;
+}
+
+module.exports = {
+    FEATURE_TABLE,
+    CHILD_TABLES,
+    rtreeTable,
+    pointBlob,
+    writeGeoPackage
+};
@@ -0,0 +1,88 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { countBenchmarks } = require('./benchmarkSelection');
+const { escapeXml } = require('./xmlEscape');
+
+// GPX 1.1 waypoints for handheld GPS units: one <wpt> per mark, named by PID
+// so crews can match the unit to the datasheet in hand, with the designation
+// and to-reach directions as the description.
+
+// Older Garmin units show 6 characters of a waypoint name, exactly a PID;
+// anything longer is cut rather than left to the unit to truncate
+const NAME_LENGTH = 6;
+
+function waypointName(benchmark) {
+    return String(benchmark.id).slice(0, NAME_LENGTH);
+}
+
+// "TO REACH ..." directions from the newest recovery note that has them,
+// else from the original station description; whitespace collapsed
+function toReachText(benchmark) {
+    const texts = (benchmark.recoveries || [])
+        .map(recovery => recovery.note)
+        .filter(Boolean)
+        .reverse();
+    texts.push(benchmark.stationDescription);
+
+    for (const text of texts) {
+        const match = text && text.match(/TO REACH\b[\s\S]*/);
+        if (match) {
+            return match[0].replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    return null;
+}
+
+function formatCoordinate(value) {
+    return Number(value.toFixed(8)).toString();
+}
+
+function waypointXml(benchmark) {
+    const height = benchmark.orthometricHeight ? benchmark.orthometricHeight.value : null;
+    const description = [benchmark.name, toReachText(benchmark)].filter(Boolean).join(' - ');
+
+    return [
+        `<wpt lat="${formatCoordinate(benchmark.latitude)}" lon="${formatCoordinate(benchmark.longitude)}">`,
+        height !== null && height !== undefined ? `<ele>${height}</ele>` : '',
+        `<name>${escapeXml(waypointName(benchmark))}</name>`,
+        description ? `<desc>${escapeXml(description)}</desc>` : '',
+        benchmark.type ? `<type>${escapeXml(benchmark.type)}</type>` : '',
+        '</wpt>'
+    ].join('');
+}
+
+// Yield the GPX document in chunks for any (async) iterable of benchmarks.
+// options: { name }
+async function* iterateGpx(benchmarks, options = {}) {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+    yield '<gpx version="1.1" creator="NGS benchmark viewer" xmlns="http://www.topografix.com/GPX/1/1">\n';
+    yield `<metadata><name>${escapeXml(options.name || 'NGS benchmarks')}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+
+    for await (const benchmark of benchmarks) {
+        yield `${waypointXml(benchmark)}\n`;
+    }
+
+    yield '</gpx>\n';
+}
+
+// Write a .gpx file; returns the number of waypoints
+async function writeGpx(benchmarks, outputFile, options = {}) {
+    await fs.ensureDir(path.dirname(outputFile));
+
+    const counted = countBenchmarks();
+    const tempFile = `${outputFile}.tmp`;
+    await pipeline(Readable.from(iterateGpx(counted.wrap(benchmarks), options)), fs.createWriteStream(tempFile));
+    await fs.move(tempFile, outputFile, { overwrite: true });
+
+    return counted.count;
+}
+
+module.exports = {
+    NAME_LENGTH,
+    toReachText,
+    iterateGpx,
+    writeGpx
+};
@@ -0,0 +1,45 @@
+const cheerio = require('cheerio');
+const path = require('path');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// Datasheets saved from the NGS website wrap the text in <pre> blocks, with
+// PIDs turned into links and characters escaped as HTML entities. This pulls
+// the plain datasheet text back out so the text parser can read the file
+// like any bulk archive.
+
+function isHtmlName(name) {
+    return HTML_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// Plain datasheet text of an HTML page. Only <pre> blocks holding datasheet
+// lines are kept (the pages also have <pre> banners and footers); the
+// retrieval line is normalised to the spacing of the bulk files.
+function extractDatasheetText(html) {
+    const $ = cheerio.load(html);
+    $('br').replaceWith('\n');
+
+    const blocks = $('pre').map((i, element) => $(element).text()).get();
+    const datasheets = blocks.filter(text => /Retrieval Date|^\s?[A-Z]{2}\d{4}[*\s]/m.test(text));
+
+    return (datasheets.length > 0 ? datasheets : blocks)
+        .map(text => text
+            .replace(/\r\n/g, '\n')
+            .replace(/\u00a0/g, ' ')
+            .replace(/National Geodetic Survey,\s+Retrieval Date/g, 'National Geodetic Survey, Retrieval Date')
+            .replace(/^\n+/, '')
+            .replace(/\n*$/, '\n'))
+        .join('');
+}
+
+// State code from the STATE/COUNTY line, for pages saved outside a state folder
+function extractState(text) {
+    const match = text.match(/STATE\/COUNTY-\s*([A-Z]{2})\//);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    isHtmlName,
+    extractDatasheetText,
+    extractState
+};
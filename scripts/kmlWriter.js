@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const { toAttributes } = require('./benchmarkAttributes');
+const { countBenchmarks } = require('./benchmarkSelection');
+const { escapeXml, cdata } = require('./xmlEscape');
+
+// KML for Google Earth: one Placemark per mark, styled by legend type, in a
+// folder per state and county. The balloon shows the key datasheet values
+// and links to the full datasheet on the viewer (options.baseUrl).
+
+// Legend types as labelled in index.html, with the icon colour of each
+const TYPE_STYLES = {
+    horizontal: { label: 'Horizontal Control', color: '#e74c3c' },
+    vertical: { label: 'Vertical Control', color: '#3498db' },
+    gravity: { label: 'Gravity Station', color: '#2ecc71' },
+    cors: { label: 'CORS Station', color: '#9b59b6' },
+    triangulation: { label: 'Triangulation Station', color: '#f39c12' }
+};
+
+const ICON_URL = 'http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+
+// The KML entry of a .kmz, which is what Google Earth opens
+const KMZ_ENTRY = 'doc.kml';
+// Largest entry a ZIP without ZIP64 records can hold
+const MAX_ZIP_SIZE = 0xffffffff;
+// General purpose flags: sizes and CRC-32 follow the data, UTF-8 name
+const ZIP_FLAGS = 0x0808;
+const ZIP_DEFLATED = 8;
+const ZIP_VERSION = 20;
+
+// "#rrggbb" -> KML's "aabbggrr"
+function kmlColor(hex) {
+    const [, red, green, blue] = hex.match(/^#(..)(..)(..)$/);
+    return `ff${blue}${green}${red}`;
+}
+
+function styleXml() {
+    return Object.entries(TYPE_STYLES).map(([type, style]) => [
+        `<Style id="${type}">`,
+        `<IconStyle><color>${kmlColor(style.color)}</color><scale>0.8</scale><Icon><href>${ICON_URL}</href></Icon></IconStyle>`,
+        '<LabelStyle><scale>0</scale></LabelStyle>',
+        '</Style>'
+    ].join('')).join('\n');
+}
+
+function formatHeight(height) {
+    if (!height) return null;
+    return `${height.value} m${height.datum ? ` (${height.datum})` : ''}`;
+}
+
+// Balloon HTML: key values as a table plus a link back to the datasheet
+function descriptionHtml(benchmark, options) {
+    const position = (benchmark.currentControl && benchmark.currentControl.position) || {};
+    const accuracy = benchmark.accuracy || {};
+    const monument = benchmark.monument || {};
+    const style = TYPE_STYLES[benchmark.type];
+    const order = [accuracy.horizontalOrder && `horizontal ${accuracy.horizontalOrder}`,
+        accuracy.verticalOrder && `vertical ${accuracy.verticalOrder}${accuracy.verticalClass ? ` class ${accuracy.verticalClass}` : ''}`]
+        .filter(Boolean).join(', ');
+
+    const rows = [
+        ['PID', benchmark.id],
+        ['Type', style ? style.label : benchmark.type],
+        ['Position', position.latitudeDms && `${position.latitudeDms} ${position.longitudeDms}${position.datum ? ` ${position.datum}` : ''}`],
+        ['Orthometric height', formatHeight(benchmark.orthometricHeight)],
+        ['Ellipsoid height', formatHeight(benchmark.ellipsoidHeight)],
+        ['Order', order],
+        ['Marker', monument.marker && (monument.marker.label || monument.marker.code)],
+        ['Setting', benchmark.setting],
+        ['Stamping', monument.stamping],
+        ['Last recovered', benchmark.last_recovered && `${benchmark.last_recovered}${benchmark.condition ? ` (${benchmark.condition})` : ''}`]
+    ].filter(([, value]) => value);
+
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const datasheetUrl = `${baseUrl}/api/datasheet/${encodeURIComponent(benchmark.state || '')}/${encodeURIComponent(benchmark.id)}`;
+
+    return [
+        `<h3>${escapeXml(benchmark.name || benchmark.id)}</h3>`,
+        '<table>',
+        ...rows.map(([name, value]) => `<tr><th align="left">${escapeXml(name)}</th><td>${escapeXml(value)}</td></tr>`),
+        '</table>',
+        `<p><a href="${escapeXml(datasheetUrl)}">Full datasheet</a></p>`
+    ].join('');
+}
+
+function placemarkXml(benchmark, options) {
+    const data = Object.entries(toAttributes(benchmark))
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+    // Children in the order the KML 2.2 schema requires
+    return [
+        `<Placemark id="${escapeXml(benchmark.id)}">`,
+        `<name>${escapeXml(benchmark.name || benchmark.id)}</name>`,
+        `<Snippet maxLines="1">${escapeXml(benchmark.id)}</Snippet>`,
+        `<description>${cdata(descriptionHtml(benchmark, options))}</description>`,
+        `<styleUrl>#${TYPE_STYLES[benchmark.type] ? benchmark.type : 'horizontal'}</styleUrl>`,
+        `<ExtendedData>${data}</ExtendedData>`,
+        `<Point><coordinates>${benchmark.longitude},${benchmark.latitude}</coordinates></Point>`,
+        '</Placemark>'
+    ].join('');
+}
+
+// A state's folder with one sub-folder per county, counties sorted by name
+function stateFolderXml(state, benchmarks, options) {
+    const counties = new Map();
+    benchmarks.forEach(benchmark => {
+        const county = benchmark.county || 'Unknown county';
+        if (!counties.has(county)) counties.set(county, []);
+        counties.get(county).push(benchmark);
+    });
+
+    const folders = [...counties.keys()].sort().map(county => [
+        `<Folder><name>${escapeXml(county)}</name>`,
+        ...counties.get(county).map(benchmark => placemarkXml(benchmark, options)),
+        '</Folder>'
+    ].join('\n'));
+
+    return [`<Folder><name>${escapeXml(state || 'Unknown state')}</name>`, ...folders, '</Folder>'].join('\n');
+}
+
+// Yield the KML document in chunks for any (async) iterable of benchmarks.
+// Benchmarks come state by state (as the parser writes them), so only one
+// state is held at a time for its county folders. options: { name, baseUrl }
+async function* iterateKml(benchmarks, options = {}) {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+    yield '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n';
+    yield `<name>${escapeXml(options.name || 'NGS benchmarks')}</name>\n`;
+    yield `${styleXml()}\n`;
+
+    let state;
+    let group = [];
+
+    for await (const benchmark of benchmarks) {
+        if (group.length > 0 && benchmark.state !== state) {
+            yield `${stateFolderXml(state, group, options)}\n`;
+            group = [];
+        }
+        state = benchmark.state;
+        group.push(benchmark);
+    }
+    if (group.length > 0) {
+        yield `${stateFolderXml(state, group, options)}\n`;
+    }
+
+    yield '</Document>\n</kml>\n';
+}
+
+// Write a .kml file; returns the number of placemarks
+async function writeKml(benchmarks, outputFile, options = {}) {
+    await fs.ensureDir(path.dirname(outputFile));
+
+    const counted = countBenchmarks();
+    const tempFile = `${outputFile}.tmp`;
+    await pipeline(stream.Readable.from(iterateKml(counted.wrap(benchmarks), options)), fs.createWriteStream(tempFile));
+    await fs.move(tempFile, outputFile, { overwrite: true });
+
+    return counted.count;
+}
+
+// ZIP date and time fields of a date
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Yield a .kmz for any (async) iterable of benchmarks: the KML is deflated
+// into the archive's doc.kml as iterateKml produces it, so neither is held
+// whole. Its CRC-32 and sizes are only known at the end, so they follow the
+// data in a data descriptor and are repeated in the central directory.
+async function* iterateKmz(benchmarks, options = {}) {
+    const name = Buffer.from(KMZ_ENTRY);
+    const modified = dosDateTime(new Date());
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const kml = stream.Readable.from((async function* () {
+        for await (const chunk of iterateKml(benchmarks, options)) {
+            const bytes = Buffer.from(chunk);
+            crc = zlib.crc32(bytes, crc);
+            size += bytes.length;
+            if (size > MAX_ZIP_SIZE) {
+                throw new Error('KML over 4 GB does not fit in a KMZ; export fewer states or use the kml format');
+            }
+            yield bytes;
+        }
+    })());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(ZIP_FLAGS, 6);
+    local.writeUInt16LE(ZIP_DEFLATED, 8);
+    local.writeUInt16LE(modified.time, 10);
+    local.writeUInt16LE(modified.date, 12);
+    local.writeUInt16LE(name.length, 26);
+    yield Buffer.concat([local, name]);
+
+    for await (const chunk of stream.pipeline(kml, zlib.createDeflateRaw(), () => {})) {
+        compressedSize += chunk.length;
+        yield chunk;
+    }
+    if (compressedSize > MAX_ZIP_SIZE) {
+        throw new Error('Compressed KML over 4 GB does not fit in a KMZ');
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield descriptor;
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(ZIP_FLAGS, 8);
+    central.writeUInt16LE(ZIP_DEFLATED, 10);
+    central.writeUInt16LE(modified.time, 12);
+    central.writeUInt16LE(modified.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressedSize, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Local header at offset 0; comment, disk and attributes all zero
+    yield Buffer.concat([central, name]);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(central.length + name.length, 12);
+    end.writeUInt32LE(local.length + name.length + compressedSize + descriptor.length, 16);
+    yield end;
+}
+
+// Write a .kmz file; returns the number of placemarks
+async function writeKmz(benchmarks, outputFile, options = {}) {
+    await fs.ensureDir(path.dirname(outputFile));
+
+    const counted = countBenchmarks();
+    const tempFile = `${outputFile}.tmp`;
+    await pipeline(stream.Readable.from(iterateKmz(counted.wrap(benchmarks), options)), fs.createWriteStream(tempFile));
+    await fs.move(tempFile, outputFile, { overwrite: true });
+
+    return counted.count;
+}
+
+module.exports = {
+    TYPE_STYLES,
+    iterateKml,
+    writeKml,
+    iterateKmz,
+    writeKmz
+};
@@ -0,0 +1,218 @@
+// NGS datasheet code tables (see dsdata.pdf). The datasheet usually prints
+// its own label after the code ("DD = SURVEY DISK"); the tables supply the
+// label when it is missing and add the plain-English meaning.
+
+const MARKER_CODES = {
+    'B': 'BOLT',
+    'DA': 'AZIMUTH MARK DISK',
+    'DB': 'BENCH MARK DISK',
+    'DD': 'SURVEY DISK',
+    'DE': 'TRAVERSE STATION DISK',
+    'DG': 'GRAVITY STATION DISK',
+    'DH': 'HORIZONTAL CONTROL DISK',
+    'DJ': 'TIDAL STATION DISK',
+    'DK': 'TRIANGULATION STATION DISK',
+    'DM': 'MAGNETIC STATION DISK',
+    'DR': 'REFERENCE MARK DISK',
+    'DV': 'VERTICAL CONTROL DISK',
+    'F': 'FLANGE-ENCASED ROD',
+    'I': 'METAL ROD',
+    'N': 'NAIL',
+    'Z': 'SEE DESCRIPTION'
+};
+
+const SETTING_CODES = {
+    '7': 'SET IN TOP OF CONCRETE MONUMENT (ROUND)',
+    '36': 'SET IN A MASSIVE STRUCTURE',
+    '38': 'SET IN A LIGHT STRUCTURE',
+    '49': 'STAINLESS STEEL ROD W/O SLEEVE (10 FT.+)',
+    '59': 'STAINLESS STEEL ROD IN SLEEVE (10 FT.+)'
+};
+
+const STABILITY_CODES = {
+    'A': {
+        label: 'MOST RELIABLE AND EXPECTED TO HOLD POSITION/ELEVATION WELL',
+        description: 'Most reliable; expected to hold position and elevation well'
+    },
+    'B': {
+        label: 'PROBABLY HOLD POSITION/ELEVATION WELL',
+        description: 'Probably holds position and elevation well'
+    },
+    'C': {
+        label: 'MAY HOLD, BUT OF TYPE COMMONLY SUBJECT TO SURFACE MOTION',
+        description: 'May hold, but the mark type is commonly subject to surface motion'
+    },
+    'D': {
+        label: 'MARK OF QUESTIONABLE OR UNKNOWN STABILITY',
+        description: 'Questionable or unknown stability'
+    }
+};
+
+const MAGNETIC_CODES = {
+    'I': 'MARKER IS A STEEL ROD',
+    'M': 'MARKER EQUIPPED WITH BAR MAGNET',
+    'N': 'NO MAGNETIC MATERIAL',
+    'O': 'OTHER; SEE DESCRIPTION'
+};
+
+// Monument types recognised from the marker label
+const MONUMENT_TYPES = ['disk', 'rod', 'pipe', 'bolt', 'nail'];
+
+// Horizontal datums and NAD 83 realizations. CONUS, Alaska, Puerto Rico and
+// the Virgin Islands sit on the North America plate; Hawaii and American
+// Samoa use the Pacific (PA11) and Guam / CNMI the Mariana (MA11) frame.
+const HORIZONTAL_DATUMS = {
+    'NAD 83(2011)': { name: 'North American Datum of 1983 (2011)', plate: 'North America', epoch: '2010.00' },
+    'NAD 83(PA11)': { name: 'North American Datum of 1983 (PACP00 2011)', plate: 'Pacific', epoch: '2010.00' },
+    'NAD 83(MA11)': { name: 'North American Datum of 1983 (MARP00 2011)', plate: 'Mariana', epoch: '2010.00' },
+    'NAD 83(NSRS2007)': { name: 'North American Datum of 1983 (NSRS2007)', plate: 'North America', epoch: '2002.00' },
+    'NAD 83(CORS96)': { name: 'North American Datum of 1983 (CORS96)', plate: 'North America', epoch: '2002.00' },
+    'NAD 83(HARN)': { name: 'North American Datum of 1983 (HARN)', plate: null, epoch: null },
+    'NAD 83(1986)': { name: 'North American Datum of 1983 (1986)', plate: null, epoch: null },
+    'NAD 27': { name: 'North American Datum of 1927', plate: null, epoch: null },
+    'OLD HAWAIIAN': { name: 'Old Hawaiian Datum', plate: null, epoch: null },
+    'PUERTO RICO': { name: 'Puerto Rico Datum 1940', plate: null, epoch: null },
+    'GUAM 1963': { name: 'Guam Datum 1963', plate: null, epoch: null },
+    'AMERICAN SAMOA 1962': { name: 'American Samoa Datum 1962', plate: null, epoch: null }
+};
+
+// Vertical datums, including the local datums of the territories
+const VERTICAL_DATUMS = {
+    'NAVD 88': { name: 'North American Vertical Datum of 1988', region: 'CONUS / Alaska' },
+    'NGVD 29': { name: 'National Geodetic Vertical Datum of 1929', region: 'CONUS' },
+    'PRVD02': { name: 'Puerto Rico Vertical Datum of 2002', region: 'Puerto Rico' },
+    'VIVD09': { name: 'Virgin Islands Vertical Datum of 2009', region: 'U.S. Virgin Islands' },
+    'GUVD04': { name: 'Guam Vertical Datum of 2004', region: 'Guam' },
+    'NMVD03': { name: 'Northern Marianas Vertical Datum of 2003', region: 'Northern Mariana Islands' },
+    'ASVD02': { name: 'American Samoa Vertical Datum of 2002', region: 'American Samoa' },
+    'LMSL': { name: 'Local Mean Sea Level', region: 'Hawaii' }
+};
+
+// Datasheet state codes: the states, DC and the territories NGS publishes
+// datasheets for
+const STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID',
+    'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO',
+    'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
+    'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+    'PR', 'VI', 'GU', 'MP', 'AS'
+];
+
+// Regions outside CONUS, by datasheet state code
+const REGIONS = {
+    'AK': 'Alaska',
+    'HI': 'Hawaii',
+    'PR': 'Puerto Rico',
+    'VI': 'U.S. Virgin Islands',
+    'GU': 'Guam',
+    'MP': 'Northern Mariana Islands',
+    'AS': 'American Samoa'
+};
+
+// Split "DD = SURVEY DISK" into { code: 'DD', label: 'SURVEY DISK' }
+function splitCode(text) {
+    if (!text) return null;
+
+    const match = text.match(/^(\w+)\s*=\s*(.*)$/);
+    if (!match) return { code: null, label: text.trim() || null };
+
+    return { code: match[1], label: match[2].trim() || null };
+}
+
+function decodeMarker(text) {
+    const parsed = splitCode(text);
+    if (!parsed) return null;
+
+    const label = parsed.label || MARKER_CODES[parsed.code] || null;
+    const lowerLabel = (label || '').toLowerCase();
+
+    return {
+        code: parsed.code,
+        label,
+        monumentType: MONUMENT_TYPES.find(type => lowerLabel.includes(type)) || 'other'
+    };
+}
+
+function decodeSetting(text) {
+    const parsed = splitCode(text);
+    if (!parsed) return null;
+
+    return {
+        code: parsed.code,
+        label: parsed.label || SETTING_CODES[parsed.code] || null
+    };
+}
+
+// A code missing from the table keeps the label the datasheet prints for it
+function decodeStability(text) {
+    const parsed = splitCode(text);
+    if (!parsed) return null;
+
+    const known = STABILITY_CODES[parsed.code];
+    if (!known && !parsed.label) return null;
+
+    return {
+        code: parsed.code,
+        label: parsed.label || known.label,
+        description: known ? known.description : null
+    };
+}
+
+function decodeMagnetic(text) {
+    const parsed = splitCode(text);
+    if (!parsed) return null;
+
+    return {
+        code: parsed.code,
+        label: parsed.label || MAGNETIC_CODES[parsed.code] || null
+    };
+}
+
+// "NAD 83(2011)", "NAD 83 (1993)", "GUVD04" -> { code, name, ... }. HARN
+// realizations carry their adjustment year, e.g. NAD 83(1993).
+function decodeDatum(text) {
+    if (!text) return null;
+
+    const code = text.replace(/\s+/g, ' ').replace(/\s*\(\s*/, '(').trim();
+    const horizontal = HORIZONTAL_DATUMS[code];
+    if (horizontal) {
+        return { code, kind: 'horizontal', ...horizontal };
+    }
+
+    const vertical = VERTICAL_DATUMS[code];
+    if (vertical) {
+        return { code, kind: 'vertical', ...vertical };
+    }
+
+    const realization = code.match(/^NAD 83\((\d{4})\)$/);
+    if (realization) {
+        return { code, kind: 'horizontal', name: `North American Datum of 1983 (${realization[1]} HARN)`, plate: null, epoch: null };
+    }
+
+    return { code, kind: null, name: null };
+}
+
+// Region of a datasheet state code; null when the state is missing or not
+// one NGS publishes
+function decodeRegion(state) {
+    if (REGIONS[state]) return REGIONS[state];
+    return STATE_CODES.includes(state) ? 'CONUS' : null;
+}
+
+module.exports = {
+    MARKER_CODES,
+    SETTING_CODES,
+    STABILITY_CODES,
+    MAGNETIC_CODES,
+    HORIZONTAL_DATUMS,
+    VERTICAL_DATUMS,
+    REGIONS,
+    STATE_CODES,
+    splitCode,
+    decodeMarker,
+    decodeSetting,
+    decodeStability,
+    decodeMagnetic,
+    decodeDatum,
+    decodeRegion
+};
@@ -0,0 +1,882 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const DatasheetRecordParser = require('./datasheetRecordParser');
+const DatasheetFormatter = require('./datasheetFormatter');
+const DatasheetInventory = require('./datasheetInventory');
+const DatasheetWorkerPool = require('./datasheetWorkerPool');
+const ParseDiagnostics = require('./parseDiagnostics');
+const PidIndex = require('./pidIndex');
+const { openDatasheet, listStateSources } = require('./datasheetSource');
+const { requireGeoPackageSupport } = require('./geopackageSupport');
+
+// Bump when a field of the benchmark schema is renamed or changes meaning
+const SCHEMA_VERSION = 1;
+
+// Every datasheet entry starts with this line
+const RETRIEVAL_MARKER = 'National Geodetic Survey, Retrieval Date';
+
+// Modules whose code decides what a datasheet parses to, from reading and
+// decompressing the file through to the benchmark record
+const PARSER_SOURCES = [
+    'ngsDatasheetParser.js',
+    'datasheetRecordParser.js',
+    'ngsCodes.js',
+    'datasheetSource.js',
+    'htmlDatasheetAdapter.js'
+].map(file => path.join(__dirname, file));
+
+// Benchmark types, matching the map legend in index.html
+const BENCHMARK_TYPES = ['horizontal', 'vertical', 'gravity', 'cors', 'triangulation'];
+
+const DEFAULT_OPTIONS = {
+    datasheetDir: path.join(__dirname, '..', 'data', 'datasheets'),
+    outputFile: path.join(__dirname, '..', 'data', 'processed', 'parsed_benchmarks.json'),
+    states: null,                // e.g. ['CA', 'AK']; null parses every state folder
+    maxStates: null,             // stop after this many states
+    maxBenchmarksPerState: null, // stop a state after this many benchmarks
+    inventoryFile: null,         // default inventory.json next to outputFile
+    diagnosticsFile: null,       // default parse_diagnostics.json next to outputFile
+    pidIndexFile: null,          // default pid_index.json next to outputFile
+    geopackageFile: null,        // also write the benchmarks to this GeoPackage
+    maxLossRate: null,           // fraction of dropped entries that counts as a failed run
+    workers: 1,                  // parse this many state files at once
+    force: false                 // re-parse states even when unchanged
+};
+
+// Split a stream of text into lines, yielding { line, offset, end } with the
+// byte offset of the line and of the line after it, so entries can later be
+// read back straight from the file. Accepts "\n" and "\r\n" line endings.
+async function* readLines(input) {
+    let pending = Buffer.alloc(0);
+    let offset = 0;
+
+    const decode = (buffer, start, end) => {
+        const stop = end > start && buffer[end - 1] === 0x0d ? end - 1 : end;
+        return buffer.toString('utf8', start, stop);
+    };
+
+    for await (const chunk of input) {
+        const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        pending = pending.length > 0 ? Buffer.concat([pending, bytes]) : bytes;
+
+        let start = 0;
+        let newline;
+        while ((newline = pending.indexOf(0x0a, start)) !== -1) {
+            yield { line: decode(pending, start, newline), offset: offset + start, end: offset + newline + 1 };
+            start = newline + 1;
+        }
+
+        offset += start;
+        pending = pending.subarray(start);
+    }
+
+    if (pending.length > 0) {
+        yield { line: decode(pending, 0, pending.length), offset, end: offset + pending.length };
+    }
+}
+
+// Collects datasheet lines into entries. push() returns the previous entry
+// once the next retrieval line starts a new one; finish() returns the last.
+// Entries are { lines, startLine } plus { offset, length } in bytes when the
+// line positions are passed in.
+class EntryCollector {
+    constructor() {
+        this.entry = null;
+        this.lineNumber = 0;
+    }
+
+    push(line, offset, end) {
+        this.lineNumber++;
+        let completed = null;
+
+        // Start new benchmark when we see a retrieval date line
+        if (line.includes(RETRIEVAL_MARKER)) {
+            completed = this.complete();
+            this.entry = { lines: [], startLine: this.lineNumber, offset, end };
+        }
+
+        if (this.entry) {
+            this.entry.lines.push(line);
+            this.entry.end = end;
+        }
+
+        return completed;
+    }
+
+    complete() {
+        const entry = this.entry;
+        if (entry) {
+            if (entry.offset !== undefined) {
+                entry.length = entry.end - entry.offset;
+            }
+            delete entry.end;
+        }
+        return entry;
+    }
+
+    finish() {
+        const completed = this.complete();
+        this.entry = null;
+        return completed;
+    }
+}
+
+// A state's benchmarks copied byte for byte from a previous output file.
+// The range starts at the newline before its first benchmark.
+class SplicedBenchmarks {
+    constructor(filePath, offset, length, count) {
+        this.filePath = filePath;
+        this.offset = offset;
+        this.length = length;
+        this.count = count;
+    }
+
+    read() {
+        return fs.createReadStream(this.filePath, {
+            start: this.offset,
+            end: this.offset + this.length - 1
+        });
+    }
+}
+
+// The one NGS datasheet parser. Used by the CLI (parseNGSDatasheets.js), the
+// helper scripts and server.js, so every consumer sees the same schema.
+class NGSDatasheetParser {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // The run's other files belong with its output, so a run writing
+        // elsewhere leaves those of the default output alone
+        const outputDir = path.dirname(this.options.outputFile);
+        this.options.inventoryFile = this.options.inventoryFile || path.join(outputDir, 'inventory.json');
+        this.options.diagnosticsFile = this.options.diagnosticsFile || path.join(outputDir, 'parse_diagnostics.json');
+        this.options.pidIndexFile = this.options.pidIndexFile || path.join(outputDir, 'pid_index.json');
+        this.datasheetDir = this.options.datasheetDir;
+        this.outputFile = this.options.outputFile;
+        this.benchmarks = [];
+        this.summary = { total: 0, byType: {}, byState: {} };
+        this.writeProgress = { bytes: 0, count: 0 };
+        this.inventory = new DatasheetInventory(this.options.inventoryFile);
+        this.diagnostics = new ParseDiagnostics();
+        this.previousDiagnostics = {};
+        this.pidIndex = new PidIndex();
+        this.previousPidIndex = new PidIndex();
+        this.recordParser = new DatasheetRecordParser();
+        this.formatter = new DatasheetFormatter();
+    }
+
+    // Classify a parsed record as one of BENCHMARK_TYPES. CORS and observed
+    // gravity win outright; a published orthometric height (not scaled)
+    // makes vertical control; modeled gravity only counts when nothing else
+    // applies.
+    classifyType(record) {
+        const flags = record.header.flags.map(flag => flag.flag);
+        const marker = record.monument.marker ? record.monument.marker.label || '' : '';
+        const height = record.orthometricHeight;
+
+        if (flags.includes('CORS')) return 'cors';
+        if (record.gravity.observed) return 'gravity';
+        if (height && height.source !== 'SCALED') return 'vertical';
+        if (marker.includes('TRIANGULATION') || (record.stationDescription || '').includes('TRIANGULATION')) {
+            return 'triangulation';
+        }
+        if (record.gravity.modeled) return 'gravity';
+
+        return 'horizontal';
+    }
+
+    // Parse a single NGS datasheet entry into the benchmark schema: the flat
+    // fields the map uses, followed by the full structured datasheet record.
+    // Returns null for entries without a PID or position.
+    parseDatasheetEntry(text, stateCode = null) {
+        return this.toBenchmark(this.recordParser.parse(text), stateCode);
+    }
+
+    // Render a benchmark (or a bare record) back into datasheet text, e.g.
+    // after adding recovery notes; parseDatasheetEntry reads it back as is
+    formatDatasheetEntry(benchmark) {
+        return this.formatter.format(benchmark);
+    }
+
+    toBenchmark(record, stateCode = null) {
+        const position = record.currentControl.position;
+
+        if (!record.header.pid || !position) {
+            return null;
+        }
+
+        const type = this.classifyType(record);
+        const state = record.header.state || stateCode;
+        const county = record.header.county;
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            id: record.header.pid,
+            name: record.header.designation,
+            type,
+            latitude: position.latitude,
+            longitude: position.longitude,
+            // Elevation is the orthometric height only; ellipsoid, geoid and
+            // dynamic heights stay in their own fields with their datums
+            elevation: record.orthometricHeight ? record.orthometricHeight.value : null,
+            state,
+            county,
+            description: county
+                ? `NGS ${type} control point in ${county} County, ${state}`
+                : `NGS ${type} control point in ${state}`,
+            date_established: record.established,
+            last_recovered: record.lastRecovery ? record.lastRecovery.date : null,
+            condition: record.lastRecovery ? record.lastRecovery.condition : null,
+            setting: record.monument.setting ? record.monument.setting.label : null,
+            datasheet_url: null,
+            ...record
+        };
+    }
+
+    // Split datasheet text into entries. Accepts a file path (plain, .gz or
+    // .zip), a readable stream or any (async) iterable of text chunks and
+    // yields { lines, startLine, offset, length } per entry, one at a time.
+    // Offsets are bytes into the (decompressed) text. openOptions go to
+    // openDatasheet for a file path.
+    async *iterateEntries(source, openOptions = {}) {
+        const ownsStream = typeof source === 'string';
+        const input = ownsStream ? openDatasheet(source, openOptions) : source;
+        const collector = new EntryCollector();
+
+        try {
+            for await (const { line, offset, end } of readLines(input)) {
+                const entry = collector.push(line, offset, end);
+                if (entry) yield entry;
+            }
+
+            // Don't forget the last benchmark
+            const last = collector.finish();
+            if (last) yield last;
+        } catch (error) {
+            error.lastLine = collector.lineNumber;
+            throw error;
+        } finally {
+            if (ownsStream) input.destroy();
+        }
+    }
+
+    // Yield the benchmarks of one datasheet source, one at a time. Stops after
+    // options.limit (default maxBenchmarksPerState) benchmarks.
+    async *iterateBenchmarks(source, stateCode = null, options = {}) {
+        const limit = options.limit !== undefined ? options.limit : this.options.maxBenchmarksPerState;
+        let count = 0;
+        // Where each ZIP entry starts, so the server can read a PID's entry
+        // without inflating the archive up to it
+        const openOptions = options.sourceFile ? {
+            onEntry: (name, offset) => this.pidIndex.addEntry(options.sourceFile, stateCode, name, offset)
+        } : {};
+
+        for await (const entry of this.iterateEntries(source, openOptions)) {
+            const benchmark = this.createBenchmark(entry, stateCode, options);
+            if (!benchmark) continue;
+
+            yield benchmark;
+            if (limit && ++count >= limit) return;
+        }
+    }
+
+    // Yield { state, filePath, benchmarks } for each state file in order.
+    // With options.workers > 1 the states are parsed on a worker pool; the
+    // order and content of what is yielded stay the same. Each group's
+    // benchmarks must be drained before the next group is pulled.
+    async *iterateStates(stateFiles) {
+        if (this.options.workers > 1) {
+            const { workers, ...parserOptions } = this.options;
+            const pool = new DatasheetWorkerPool(workers, parserOptions);
+
+            for await (const group of pool.run(stateFiles)) {
+                yield { ...group, benchmarks: this.collectWorkerGroup(group) };
+            }
+            return;
+        }
+
+        for (const { state, filePath } of stateFiles) {
+            yield { state, filePath, benchmarks: this.iterateStateFile(filePath, state) };
+        }
+    }
+
+    // Yield the benchmarks of every selected state file in state order
+    async *iterateAllDatasheets(stateFiles = null) {
+        for await (const group of this.iterateStates(stateFiles || await this.findStateFiles())) {
+            yield* group.benchmarks;
+        }
+    }
+
+    // Yield the benchmarks of one state file, logging progress and errors
+    // the way the CLI reports them. A read that fails partway keeps what was
+    // parsed and is recorded as a file failure in the diagnostics.
+    async *iterateStateFile(filePath, state) {
+        console.log(`Parsing ${state} datasheets from ${this.fileKey(filePath)}...`);
+        let benchmarkCount = 0;
+
+        try {
+            for await (const benchmark of this.iterateBenchmarks(filePath, state, {
+                datasheetUrl: this.datasheetUrl(filePath),
+                sourceFile: this.fileKey(filePath)
+            })) {
+                benchmarkCount++;
+                yield benchmark;
+            }
+        } catch (error) {
+            console.error(`Error parsing ${filePath} after line ${error.lastLine}:`, error.message);
+            this.diagnostics.fileFailed(state, this.fileKey(filePath), error);
+        }
+
+        console.log(`  -> Extracted ${benchmarkCount} benchmarks from ${state}`);
+    }
+
+    // Count benchmarks parsed on a worker thread into the summary, then take
+    // over the worker's diagnostics and PID index for the file
+    async *collectWorkerGroup(group) {
+        for await (const benchmark of group.benchmarks) {
+            this.countBenchmark(benchmark);
+            yield benchmark;
+        }
+        const reports = group.reports();
+        this.diagnostics.addFile(reports.diagnostics);
+        this.pidIndex.addFile(this.fileKey(group.filePath), reports.pidIndex);
+    }
+
+    // Object-mode Transform stream: write datasheet text in, read benchmarks
+    // out. Honours backpressure like any other stream, e.g.
+    //   fs.createReadStream('CA.txt').pipe(parser.createParseStream('CA'))
+    createParseStream(stateCode = null, options = {}) {
+        const parser = this;
+        const limit = options.limit !== undefined ? options.limit : this.options.maxBenchmarksPerState;
+        const collector = new EntryCollector();
+        const decoder = new StringDecoder('utf8');
+        let pending = '';
+        let count = 0;
+
+        const emit = (stream, entry) => {
+            if (!entry || (limit && count >= limit)) return;
+
+            const benchmark = parser.createBenchmark(entry, stateCode, options);
+            if (benchmark) {
+                count++;
+                stream.push(benchmark);
+            }
+        };
+
+        return new Transform({
+            readableObjectMode: true,
+            transform(chunk, encoding, callback) {
+                try {
+                    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+                    const lines = pending.split(/\r?\n/);
+                    pending = lines.pop();
+
+                    for (const line of lines) {
+                        emit(this, collector.push(line));
+                    }
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
+                    pending += decoder.end();
+                    if (pending) emit(this, collector.push(pending));
+                    emit(this, collector.finish());
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+
+    // Turn a collected entry into a benchmark, note it in the diagnostics and
+    // PID index and count it in the summary. options: { datasheetUrl, sourceFile }
+    createBenchmark(entry, stateCode, options = {}) {
+        const text = entry.lines.join('\n');
+        const record = this.recordParser.parse(text);
+
+        if (record.header.pid && options.sourceFile && entry.offset !== undefined) {
+            this.pidIndex.add(options.sourceFile, stateCode, record.header.pid, entry.offset, entry.length);
+        }
+
+        this.diagnostics.inspect(entry, record, this.recordParser.splitLines(text),
+            stateCode, options.sourceFile || 'stream');
+
+        const benchmark = this.toBenchmark(record, stateCode);
+        if (!benchmark) return null;
+
+        if (options.datasheetUrl) {
+            benchmark.datasheet_url = options.datasheetUrl;
+        }
+        this.countBenchmark(benchmark);
+
+        return benchmark;
+    }
+
+    // A datasheet file's path relative to the datasheet folder ("CA/CA.txt")
+    fileKey(filePath) {
+        return path.relative(this.datasheetDir, filePath).split(path.sep).join('/');
+    }
+
+    datasheetUrl(filePath) {
+        return `/data/datasheets/${this.fileKey(filePath)}`;
+    }
+
+    // Parse a datasheet file into this.benchmarks
+    async parseDatasheetFile(filePath, stateCode) {
+        try {
+            console.log(`Parsing ${stateCode} datasheets...`);
+            let benchmarkCount = 0;
+
+            for await (const benchmark of this.iterateBenchmarks(filePath, stateCode, {
+                datasheetUrl: this.datasheetUrl(filePath),
+                sourceFile: this.fileKey(filePath)
+            })) {
+                this.benchmarks.push(benchmark);
+                benchmarkCount++;
+            }
+
+            console.log(`  -> Extracted ${benchmarkCount} benchmarks from ${stateCode}`);
+            return benchmarkCount;
+            
+        } catch (error) {
+            console.error(`Error parsing ${filePath}:`, error.message);
+            return 0;
+        }
+    }
+
+    // List the state datasheet files to parse as { state, filePath }, honouring
+    // the states and maxStates options. A state's datasheet is the first
+    // .txt/.dat file of its folder, else a .gz or .zip there, else a
+    // top-level archive named after the state; saved NGS web pages (.html)
+    // are listed after it (see datasheetSource.js).
+    async findStateFiles() {
+        const states = this.options.states ? this.options.states.map(state => state.toUpperCase()) : null;
+        const stateFiles = (await listStateSources(this.datasheetDir))
+            .filter(({ state }) => !states || states.includes(state.toUpperCase()));
+
+        if (!this.options.maxStates) return stateFiles;
+
+        const kept = [...new Set(stateFiles.map(file => file.state))].slice(0, this.options.maxStates);
+        return stateFiles.filter(file => kept.includes(file.state));
+    }
+
+    // Process all datasheet files. Benchmarks are streamed straight to the
+    // output file rather than collected, so a national run only ever holds
+    // one entry in memory. State files whose hash matches the inventory are
+    // copied from the previous output unless options.force is set. Returns
+    // the summary; a failed write or save, or a crashed worker, rejects.
+    async processAllDatasheets() {
+        console.log('Starting NGS datasheet processing...\n');
+        
+        try {
+            // Fail before parsing rather than at the last step
+            if (this.options.geopackageFile) {
+                requireGeoPackageSupport();
+            }
+
+            const stateFiles = await this.planStateFiles(await this.findStateFiles());
+            const records = {};
+            const totalBenchmarks = await this.writeBenchmarks(this.iterateOutput(stateFiles, records));
+
+            const outputStats = await fs.stat(this.outputFile);
+            await this.inventory.save({
+                generated: new Date().toISOString(),
+                outputFile: this.outputFile,
+                outputSize: outputStats.size,
+                count: totalBenchmarks,
+                settings: this.parseSettings(),
+                files: records
+            });
+            await this.diagnostics.save(this.options.diagnosticsFile);
+            await this.pidIndex.save(this.options.pidIndexFile);
+            if (this.options.geopackageFile) {
+                await this.saveGeoPackage();
+            }
+            
+            const reused = stateFiles.filter(file => file.reuse).length;
+            console.log(`\nProcessing complete!`);
+            console.log(`Total benchmarks extracted: ${totalBenchmarks}`);
+            console.log(`Datasheet files processed: ${stateFiles.length - reused} parsed, ${reused} unchanged`);
+            console.log(`\nBenchmark data saved to: ${this.outputFile}`);
+            console.log(`Parse diagnostics saved to: ${this.options.diagnosticsFile}`);
+            console.log(`PID index saved to: ${this.options.pidIndexFile}`);
+            if (this.options.geopackageFile) {
+                console.log(`GeoPackage saved to: ${this.options.geopackageFile}`);
+            }
+            
+            return this.getSummary();
+            
+        } catch (error) {
+            console.error('Error processing datasheets:', error.message);
+            throw error;
+        }
+    }
+
+    // Settings that change what a state parses to, including the parser
+    // code itself. Output recorded under different settings is never reused.
+    parseSettings() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            parserVersion: DatasheetInventory.hashSources(PARSER_SOURCES),
+            maxBenchmarksPerState: this.options.maxBenchmarksPerState
+        };
+    }
+
+    // Hash each state file and look up whether its previous output can be
+    // reused; that also needs its previous diagnostics and PID index. Adds
+    // { key, hash, reuse } to every state file.
+    async planStateFiles(stateFiles) {
+        await this.inventory.load();
+        this.previousDiagnostics = await ParseDiagnostics.load(this.options.diagnosticsFile);
+        this.previousPidIndex = await PidIndex.load(this.options.pidIndexFile);
+        const settings = this.parseSettings();
+
+        for (const file of stateFiles) {
+            file.key = this.fileKey(file.filePath);
+            file.hash = await DatasheetInventory.hashFile(file.filePath);
+
+            const reports = this.previousDiagnostics[file.key] && this.previousPidIndex.files[file.key];
+            file.reuse = this.options.force || !reports ? null
+                : await this.inventory.findReusable(file.key, file.hash, settings, this.outputFile);
+        }
+
+        return stateFiles;
+    }
+
+    // Yield what writeBenchmarks should write for each planned state file:
+    // spliced output for unchanged files, parsed benchmarks for the rest.
+    // Fills records with the inventory record of every file, including
+    // where its benchmarks landed in the new output. A file whose read
+    // failed partway gets no record, so the next run parses it again
+    // instead of reusing its partial output.
+    async *iterateOutput(stateFiles, records) {
+        const changed = this.iterateStates(stateFiles.filter(file => !file.reuse));
+        const progress = this.writeProgress;
+
+        for (const file of stateFiles) {
+            // The separating comma before a state's first benchmark is not
+            // part of its range
+            const offset = progress.bytes + (progress.count > 0 ? 1 : 0);
+            const startCount = progress.count;
+            const record = {
+                state: file.state,
+                hash: file.hash,
+                parsedAt: file.reuse ? file.reuse.parsedAt : new Date().toISOString(),
+                summary: { byType: {}, byState: {} }
+            };
+
+            if (file.reuse) {
+                console.log(`${file.key} unchanged, reusing ${file.reuse.count} benchmarks`);
+                yield new SplicedBenchmarks(this.outputFile, file.reuse.offset, file.reuse.length, file.reuse.count);
+                record.summary = file.reuse.summary;
+                this.mergeSummary(file.reuse.summary, file.reuse.count);
+                this.diagnostics.addFile(this.previousDiagnostics[file.key]);
+                this.pidIndex.addFile(file.key, this.previousPidIndex.files[file.key]);
+            } else {
+                const { value: group } = await changed.next();
+                for await (const benchmark of group.benchmarks) {
+                    record.summary.byType[benchmark.type] = (record.summary.byType[benchmark.type] || 0) + 1;
+                    record.summary.byState[benchmark.state] = (record.summary.byState[benchmark.state] || 0) + 1;
+                    yield benchmark;
+                }
+            }
+
+            if (this.diagnostics.failure(file.key)) {
+                console.log(`${file.key} failed partway, not recorded for reuse`);
+                continue;
+            }
+
+            record.count = progress.count - startCount;
+            record.offset = record.count > 0 ? offset : 0;
+            record.length = record.count > 0 ? progress.bytes - offset : 0;
+            records[file.key] = record;
+        }
+
+        // Let the worker pool shut down
+        await changed.next();
+    }
+
+    // True when the inventory's byte ranges cover every benchmark of the
+    // output file (not so when a failed file was left out of it)
+    describesOutput(parsed, outputSize = null) {
+        if (!parsed || !parsed.files || parsed.outputFile !== this.outputFile) return false;
+        if (outputSize !== null && parsed.outputSize !== outputSize) return false;
+
+        const recorded = Object.values(parsed.files).reduce((total, record) => total + record.count, 0);
+        return recorded === parsed.count;
+    }
+
+    // Read the benchmarks back from the output file one datasheet file at a
+    // time, using the byte ranges the inventory recorded, so exports never
+    // hold a national run in memory. Falls back to reading the whole file
+    // when the inventory doesn't describe it. states filters by the state
+    // of the datasheet file.
+    async *iterateParsedBenchmarks(states = null) {
+        if (!await fs.pathExists(this.outputFile)) return;
+
+        const wanted = states ? states.map(state => state.toUpperCase()) : null;
+        const parsed = await this.inventory.load();
+        const stats = await fs.stat(this.outputFile);
+
+        if (this.describesOutput(parsed, stats.size)) {
+            for (const record of Object.values(parsed.files)) {
+                if (record.count === 0 || (wanted && !wanted.includes(record.state))) continue;
+
+                const chunks = [];
+                for await (const chunk of new SplicedBenchmarks(this.outputFile, record.offset, record.length, record.count).read()) {
+                    chunks.push(chunk);
+                }
+                yield* JSON.parse(`[${Buffer.concat(chunks).toString('utf8')}]`);
+            }
+            return;
+        }
+
+        const data = await fs.readJson(this.outputFile);
+        for (const benchmark of Array.isArray(data) ? data : (data.benchmarks || [])) {
+            if (!wanted || wanted.includes(benchmark.state)) {
+                yield benchmark;
+            }
+        }
+    }
+
+    // States present in the output file, in output order
+    async listParsedStates() {
+        const parsed = await this.inventory.load();
+        if (this.describesOutput(parsed)) {
+            return [...new Set(Object.values(parsed.files).map(record => record.state))];
+        }
+
+        const states = new Set();
+        for await (const benchmark of this.iterateParsedBenchmarks()) {
+            states.add(benchmark.state);
+        }
+        return [...states];
+    }
+
+    // Copy the output file into options.geopackageFile. The writer needs
+    // the native better-sqlite3 module, so it is only loaded when asked for.
+    async saveGeoPackage() {
+        const { writeGeoPackage } = require('./geopackageWriter');
+        return writeGeoPackage(this.iterateParsedBenchmarks(), this.options.geopackageFile);
+    }
+
+    // Save this.benchmarks to the JSON output file
+    async saveBenchmarks() {
+        try {
+            await this.writeBenchmarks(this.benchmarks);
+            console.log(`\nBenchmark data saved to: ${this.outputFile}`);
+            
+        } catch (error) {
+            console.error('Error saving benchmarks:', error);
+        }
+    }
+
+    // Write benchmarks from any (async) iterable to the output file as they
+    // arrive. The file is laid out exactly as fs.writeJson(..., { spaces: 2 })
+    // would write it, and replaces the old output only once complete. Items
+    // may also be SplicedBenchmarks copied from the previous output.
+    // this.writeProgress tracks the bytes and benchmarks produced so far.
+    // Resolves to the number of benchmarks written.
+    async writeBenchmarks(benchmarks, outputFile = this.outputFile) {
+        await fs.ensureDir(path.dirname(outputFile));
+
+        const progress = this.writeProgress;
+        progress.bytes = 0;
+        progress.count = 0;
+
+        const emit = (chunk) => {
+            progress.bytes += Buffer.byteLength(chunk);
+            return chunk;
+        };
+
+        async function* chunks() {
+            yield emit(`{\n  "schemaVersion": ${SCHEMA_VERSION},\n  "benchmarks": [`);
+            for await (const item of benchmarks) {
+                if (item instanceof SplicedBenchmarks) {
+                    if (item.count === 0) continue;
+                    if (progress.count > 0) yield emit(',');
+                    for await (const chunk of item.read()) {
+                        yield emit(chunk);
+                    }
+                    progress.count += item.count;
+                    continue;
+                }
+
+                const json = JSON.stringify(item, null, 2).replace(/\n/g, '\n    ');
+                yield emit(`${progress.count === 0 ? '' : ','}\n    ${json}`);
+                progress.count++;
+            }
+            yield progress.count === 0 ? '],\n' : '\n  ],\n';
+            yield `  "count": ${progress.count},\n`;
+            yield `  "generated": ${JSON.stringify(new Date().toISOString())},\n`;
+            yield '  "source": "NGS datasheets"\n}\n';
+        }
+
+        const tempFile = `${outputFile}.tmp`;
+        await pipeline(Readable.from(chunks()), fs.createWriteStream(tempFile));
+        await fs.move(tempFile, outputFile, { overwrite: true });
+
+        return progress.count;
+    }
+
+    // Build the station cluster graph from the box scores: every benchmark
+    // maps to the marks it references (outgoing) and the marks whose box
+    // score references it (incoming). Related marks missing from the parsed
+    // set are placed from the box score distance and azimuth when possible.
+    buildRelationshipGraph(benchmarks = this.benchmarks) {
+        const byId = new Map(benchmarks.map(benchmark => [benchmark.id, benchmark]));
+        const graph = {};
+
+        const addEdge = (pid, edge) => {
+            if (!graph[pid]) graph[pid] = [];
+            graph[pid].push(edge);
+        };
+
+        benchmarks.forEach(benchmark => {
+            (benchmark.relatedMarks || []).forEach(mark => {
+                const related = mark.pid ? byId.get(mark.pid) : null;
+                const distanceMeters = mark.distance ? mark.distance.meters : null;
+                let position = related ? { latitude: related.latitude, longitude: related.longitude } : null;
+
+                if (!position && distanceMeters !== null && mark.azimuthDegrees !== null) {
+                    position = this.offsetPosition(benchmark.latitude, benchmark.longitude, distanceMeters, mark.azimuthDegrees);
+                }
+
+                addEdge(benchmark.id, {
+                    pid: mark.pid,
+                    name: mark.name,
+                    relation: mark.relation,
+                    direction: 'outgoing',
+                    distanceMeters,
+                    approximate: mark.distance ? mark.distance.approximate : false,
+                    azimuthDegrees: mark.azimuthDegrees,
+                    latitude: position ? position.latitude : null,
+                    longitude: position ? position.longitude : null,
+                    located: related ? 'parsed' : (position ? 'computed' : null)
+                });
+
+                if (related) {
+                    addEdge(related.id, {
+                        pid: benchmark.id,
+                        name: benchmark.name,
+                        relation: mark.relation,
+                        direction: 'incoming',
+                        distanceMeters,
+                        approximate: mark.distance ? mark.distance.approximate : false,
+                        azimuthDegrees: mark.azimuthDegrees !== null ? (mark.azimuthDegrees + 180) % 360 : null,
+                        latitude: benchmark.latitude,
+                        longitude: benchmark.longitude,
+                        located: 'parsed'
+                    });
+                }
+            });
+        });
+
+        return graph;
+    }
+
+    // Index every name a crew might read off a mark: PID, designation, disk
+    // stamping (with and without the trailing year) and aliases. Keys are
+    // normalized so spacing and punctuation differences still resolve.
+    buildSearchIndex(benchmarks = this.benchmarks) {
+        const index = new Map();
+
+        const add = (value, benchmark, matchedOn) => {
+            const key = this.normalizeSearchKey(value);
+            if (!key) return;
+
+            if (!index.has(key)) index.set(key, []);
+            const entries = index.get(key);
+            if (!entries.some(entry => entry.pid === benchmark.id && entry.matchedOn === matchedOn)) {
+                entries.push({ pid: benchmark.id, matchedOn, value });
+            }
+        };
+
+        benchmarks.forEach(benchmark => {
+            add(benchmark.id, benchmark, 'pid');
+            add(benchmark.name, benchmark, 'designation');
+
+            const stamping = benchmark.monument ? benchmark.monument.stamping : null;
+            if (stamping) {
+                add(stamping, benchmark, 'stamping');
+                add(stamping.replace(/\s+(1[89]|20)\d{2}$/, ''), benchmark, 'stamping');
+            }
+
+            (benchmark.aliases || []).forEach(alias => add(alias, benchmark, 'alias'));
+        });
+
+        return index;
+    }
+
+    normalizeSearchKey(value) {
+        if (!value) return '';
+        return String(value).toUpperCase().replace(/[^A-Z0-9-]+/g, ' ').trim();
+    }
+
+    // Point at a distance (meters) and geodetic azimuth (degrees) from a
+    // position; a spherical earth is plenty for box score distances
+    offsetPosition(latitude, longitude, distanceMeters, azimuthDegrees) {
+        const radius = 6371008.8;
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const delta = distanceMeters / radius;
+        const theta = toRadians(azimuthDegrees);
+        const phi1 = toRadians(latitude);
+        const lambda1 = toRadians(longitude);
+
+        const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+        const lambda2 = lambda1 + Math.atan2(
+            Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+            Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+        );
+
+        return {
+            latitude: phi2 * 180 / Math.PI,
+            longitude: lambda2 * 180 / Math.PI
+        };
+    }
+
+    // Tally a benchmark into the running summary
+    countBenchmark(benchmark) {
+        this.summary.total++;
+        this.summary.byType[benchmark.type] = (this.summary.byType[benchmark.type] || 0) + 1;
+        this.summary.byState[benchmark.state] = (this.summary.byState[benchmark.state] || 0) + 1;
+    }
+
+    // Add a reused state's recorded summary to the running summary
+    mergeSummary(summary, count) {
+        this.summary.total += count;
+        for (const [type, typeCount] of Object.entries(summary.byType)) {
+            this.summary.byType[type] = (this.summary.byType[type] || 0) + typeCount;
+        }
+        for (const [state, stateCount] of Object.entries(summary.byState)) {
+            this.summary.byState[state] = (this.summary.byState[state] || 0) + stateCount;
+        }
+    }
+
+    // True when more entries were dropped than options.maxLossRate allows.
+    // A file whose read failed partway lost an unknown number of entries,
+    // so any such file exceeds the threshold.
+    exceedsLossThreshold() {
+        const { maxLossRate } = this.options;
+        const totals = this.diagnostics.totals();
+        return maxLossRate !== null && maxLossRate !== undefined
+            && (totals.failedFiles > 0 || totals.lossRate > maxLossRate);
+    }
+
+    // Get summary statistics for every benchmark this parser has produced
+    getSummary() {
+        return this.summary;
+    }
+}
+
+NGSDatasheetParser.SCHEMA_VERSION = SCHEMA_VERSION;
+NGSDatasheetParser.RETRIEVAL_MARKER = RETRIEVAL_MARKER;
+NGSDatasheetParser.BENCHMARK_TYPES = BENCHMARK_TYPES;
+
+module.exports = NGSDatasheetParser;
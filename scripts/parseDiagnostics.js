@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Height labels on current control lines, mapped to the record field that
+// should hold them (see HEIGHT_FIELDS in datasheetRecordParser.js)
+const HEIGHT_LABELS = {
+    'ELLIP HT': 'ellipsoidHeight',
+    'ORTHO HEIGHT': 'orthometricHeight',
+    'GEOID HEIGHT': 'geoidHeight',
+    'DYNAMIC HEIGHT': 'dynamicHeight'
+};
+
+// Records, per datasheet file, every entry that was dropped or only partly
+// parsed, with its state, line range, PID (when known) and reasons, and
+// files whose read failed partway (a truncated archive, say), whose
+// remaining entries were never seen. Written as parse_diagnostics.json plus
+// a readable parse_diagnostics.txt.
+class ParseDiagnostics {
+    constructor() {
+        this.states = {};
+    }
+
+    fileReport(state, file) {
+        if (!this.states[file]) {
+            this.states[file] = { state: state || 'unknown', file, entries: 0, parsed: 0, dropped: [], partial: [], failure: null };
+        }
+        return this.states[file];
+    }
+
+    // Check one entry against the record parsed from it. lines are the
+    // entry's split lines (DatasheetRecordParser.splitLines) and entry the
+    // { lines, startLine } collected from the file. Returns 'dropped',
+    // 'partial' or 'parsed'.
+    inspect(entry, record, lines, state, file) {
+        const report = this.fileReport(state, file);
+        const lineNumber = index => entry.startLine + index;
+        const pid = record.header.pid || (lines.find(line => line.pid) || {}).pid || null;
+        const dropped = [];
+        const partial = [];
+
+        report.entries++;
+
+        if (!record.header.pid) {
+            dropped.push({ reason: 'no PID line' });
+        }
+
+        const positionIndex = lines.findIndex(line => line.marker === '*' && line.text.includes('POSITION-'));
+        if (!record.currentControl.position) {
+            dropped.push(positionIndex >= 0
+                ? { reason: 'POSITION line does not parse', line: lineNumber(positionIndex) }
+                : { reason: 'no POSITION line' });
+        }
+
+        if (!record.header.designation) {
+            partial.push({ reason: 'no DESIGNATION line' });
+        }
+        if (!record.header.state) {
+            partial.push({ reason: 'no STATE/COUNTY line' });
+        }
+
+        lines.forEach((line, index) => {
+            if (line.marker === '*') {
+                const label = Object.keys(HEIGHT_LABELS).find(name => line.text.includes(name));
+                if (label && !record[HEIGHT_LABELS[label]]) {
+                    partial.push({ reason: `${label} line does not parse`, line: lineNumber(index) });
+                }
+            }
+        });
+
+        // Every SPC / UTM coordinate row should have produced one grid row
+        const gridRows = {};
+        record.spc.forEach(row => { gridRows[`SPC ${row.zone}`] = (gridRows[`SPC ${row.zone}`] || 0) + 1; });
+        record.utm.forEach(row => { gridRows[`UTM ${row.zone}`] = (gridRows[`UTM ${row.zone}`] || 0) + 1; });
+
+        lines.forEach((line, index) => {
+            const match = line.marker === ';' && line.text.trim().match(/^(SPC|UTM)\s+(.+?)\s*-/);
+            if (!match) return;
+
+            const zone = `${match[1]} ${match[2].trim()}`;
+            if (gridRows[zone]) {
+                gridRows[zone]--;
+            } else {
+                partial.push({ reason: `${match[1]} line does not parse`, line: lineNumber(index) });
+            }
+        });
+
+        const issue = {
+            pid,
+            file,
+            lines: [entry.startLine, entry.startLine + entry.lines.length - 1]
+        };
+
+        if (dropped.length > 0) {
+            report.dropped.push({ ...issue, reasons: dropped.concat(partial) });
+            return 'dropped';
+        }
+
+        report.parsed++;
+        if (partial.length > 0) {
+            report.partial.push({ ...issue, reasons: partial });
+            return 'partial';
+        }
+
+        return 'parsed';
+    }
+
+    // Note that reading a file failed. error.lastLine (set by
+    // NGSDatasheetParser.iterateEntries) is the last line read before it.
+    fileFailed(state, file, error) {
+        this.fileReport(state, file).failure = {
+            reason: error.message,
+            lastLine: error.lastLine !== undefined ? error.lastLine : null
+        };
+    }
+
+    failure(file) {
+        return this.states[file] ? this.states[file].failure || null : null;
+    }
+
+    // Hand over a file's report (e.g. to send it back from a worker thread)
+    takeFile(file) {
+        const report = this.states[file] || null;
+        delete this.states[file];
+        return report;
+    }
+
+    addFile(report) {
+        if (report) {
+            this.states[report.file] = report;
+        }
+    }
+
+    totals() {
+        const totals = { entries: 0, parsed: 0, dropped: 0, partial: 0, failedFiles: 0 };
+
+        Object.values(this.states).forEach(report => {
+            totals.entries += report.entries;
+            totals.parsed += report.parsed;
+            totals.dropped += report.dropped.length;
+            totals.partial += report.partial.length;
+            if (report.failure) totals.failedFiles++;
+        });
+
+        totals.lossRate = totals.entries > 0 ? totals.dropped / totals.entries : 0;
+        return totals;
+    }
+
+    toJSON() {
+        return {
+            generated: new Date().toISOString(),
+            totals: this.totals(),
+            states: Object.values(this.states)
+        };
+    }
+
+    // Readable summary: one line per file, then every problem entry
+    formatSummary() {
+        const totals = this.totals();
+        const percent = rate => `${(rate * 100).toFixed(2)}%`;
+        const lines = [
+            `Entries: ${totals.entries}, parsed: ${totals.parsed}, dropped: ${totals.dropped} (${percent(totals.lossRate)}), partial: ${totals.partial}, failed files: ${totals.failedFiles}`,
+            ''
+        ];
+
+        Object.values(this.states).forEach(report => {
+            const lossRate = report.entries > 0 ? report.dropped.length / report.entries : 0;
+            lines.push(`${report.state} ${report.file}: ${report.entries} entries, ${report.dropped.length} dropped (${percent(lossRate)}), ${report.partial.length} partial${report.failure ? ', READ FAILED' : ''}`);
+        });
+        lines.push('');
+
+        Object.values(this.states).forEach(report => {
+            if (report.failure) {
+                const where = report.failure.lastLine !== null ? `after line ${report.failure.lastLine}` : 'before the first line';
+                lines.push(`FAILED ${report.state} ${report.file} ${where}: ${report.failure.reason}`);
+            }
+            [['DROPPED', report.dropped], ['PARTIAL', report.partial]].forEach(([label, issues]) => {
+                issues.forEach(issue => {
+                    const reasons = issue.reasons
+                        .map(reason => reason.line ? `${reason.reason} (line ${reason.line})` : reason.reason)
+                        .join('; ');
+                    lines.push(`${label} ${report.state} ${issue.pid || '??????'} ${issue.file}:${issue.lines[0]}-${issue.lines[1]} ${reasons}`);
+                });
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    // Write the JSON report and the readable summary beside it
+    async save(jsonFile) {
+        await fs.ensureDir(path.dirname(jsonFile));
+        await fs.writeJson(jsonFile, this.toJSON(), { spaces: 2 });
+        await fs.writeFile(jsonFile.replace(/\.json$/, '') + '.txt', this.formatSummary() + '\n');
+    }
+
+    // File reports of a previous run, keyed by file
+    static async load(jsonFile) {
+        if (!await fs.pathExists(jsonFile)) return {};
+
+        const previous = await fs.readJson(jsonFile);
+        const files = {};
+        (previous.states || []).forEach(report => { files[report.file] = report; });
+        return files;
+    }
+}
+
+module.exports = ParseDiagnostics;
@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// PID -> (datasheet file, byte offset, length) index built while parsing, so
+// /api/datasheet can read one entry straight from its file instead of
+// scanning the whole state. Saved as data/processed/pid_index.json:
+//   { schemaVersion, generated, files: { "CA/CA.txt": { state, pids: { PID: [offset, length] }, entries } } }
+// Offsets are into the decompressed text for .gz and .zip sources. ZIP
+// sections also list where each archive entry starts, as [name, offset], so
+// a lookup inflates only the entry holding the PID.
+const INDEX_VERSION = 1;
+
+class PidIndex {
+    constructor(files = {}) {
+        this.files = files;
+    }
+
+    section(file, state) {
+        if (!this.files[file]) {
+            this.files[file] = { state, pids: {} };
+        }
+        return this.files[file];
+    }
+
+    add(file, state, pid, offset, length) {
+        this.section(file, state).pids[pid] = [offset, length];
+    }
+
+    // Note where a ZIP archive entry starts in the file's text
+    addEntry(file, state, name, offset) {
+        const section = this.section(file, state);
+        if (!section.entries) {
+            section.entries = [];
+        }
+        section.entries.push([name, offset]);
+    }
+
+    // Hand over a file's section (e.g. to send it back from a worker thread)
+    takeFile(file) {
+        const section = this.files[file] || null;
+        delete this.files[file];
+        return section;
+    }
+
+    addFile(file, section) {
+        if (section) {
+            this.files[file] = section;
+        }
+    }
+
+    // Map of PID -> { file, state, offset, length, entries } for lookups
+    toMap() {
+        const map = new Map();
+        Object.entries(this.files).forEach(([file, section]) => {
+            const entries = section.entries || null;
+            Object.entries(section.pids).forEach(([pid, [offset, length]]) => {
+                map.set(pid, { file, state: section.state, offset, length, entries });
+            });
+        });
+        return map;
+    }
+
+    // Written compact; a national index has well over a million PIDs
+    async save(indexFile) {
+        await fs.ensureDir(path.dirname(indexFile));
+        await fs.writeJson(indexFile, {
+            schemaVersion: INDEX_VERSION,
+            generated: new Date().toISOString(),
+            files: this.files
+        });
+    }
+
+    static async load(indexFile) {
+        if (!await fs.pathExists(indexFile)) return new PidIndex();
+
+        const data = await fs.readJson(indexFile);
+        return new PidIndex(data.schemaVersion === INDEX_VERSION ? data.files : {});
+    }
+}
+
+module.exports = PidIndex;
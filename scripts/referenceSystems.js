@@ -0,0 +1,126 @@
+// Geographic reference systems of the horizontal datums NGS publishes
+// current positions on, so the exports label each mark's coordinates with
+// its own datum: GeoPackage srs_id (geopackageWriter.js) and shapefile .prj
+// (shapefileWriter.js). The territories' NAD 83 frames (PA11, MA11) are
+// kept apart from NAD 83(2011), as are marks whose position is only on an
+// older realization or NAD 27.
+
+const GRS_1980 = 'SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]]';
+const CLARKE_1866 = 'SPHEROID["Clarke 1866",6378206.4,294.978698213898,AUTHORITY["EPSG","7008"]]';
+const GREENWICH_DEGREES = 'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]]';
+
+const ESRI_GRS_1980 = 'SPHEROID["GRS_1980",6378137.0,298.257222101]';
+const ESRI_CLARKE_1866 = 'SPHEROID["Clarke_1866",6378206.4,294.9786982]';
+const ESRI_GREENWICH_DEGREES = 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]';
+
+// OGC WKT as EPSG publishes it, for gpkg_spatial_ref_sys
+function ogcWkt(name, datum, datumCode, spheroid, srsId) {
+    return `GEOGCS["${name}",DATUM["${datum}",${spheroid},AUTHORITY["EPSG","${datumCode}"]],${GREENWICH_DEGREES},AUTHORITY["EPSG","${srsId}"]]`;
+}
+
+// ESRI WKT as ArcGIS and QGIS write it in a .prj
+function esriWkt(name, datum, spheroid) {
+    return `GEOGCS["${name}",DATUM["${datum}",${spheroid}],${ESRI_GREENWICH_DEGREES}]`;
+}
+
+// key names the GeoPackage layer and shapefile of the reference system;
+// matches(code) takes the decoded datum code (ngsCodes.decodeDatum)
+const REFERENCE_SYSTEMS = [
+    {
+        key: 'nad83_2011',
+        matches: code => code === 'NAD 83(2011)',
+        srsId: 6318,
+        name: 'NAD83(2011)',
+        description: 'NAD83 (National Spatial Reference System 2011)',
+        definition: ogcWkt('NAD83(2011)', 'NAD83_National_Spatial_Reference_System_2011', 1116, GRS_1980, 6318),
+        prj: esriWkt('GCS_NAD_1983_2011', 'D_NAD_1983_2011', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad83_pa11',
+        matches: code => code === 'NAD 83(PA11)',
+        srsId: 6322,
+        name: 'NAD83(PA11)',
+        description: 'NAD83 (National Spatial Reference System PACP00), Hawaii and American Samoa',
+        definition: ogcWkt('NAD83(PA11)', 'NAD83_National_Spatial_Reference_System_PACP00', 1117, GRS_1980, 6322),
+        prj: esriWkt('GCS_NAD_1983_PA11', 'D_NAD_1983_PA11', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad83_ma11',
+        matches: code => code === 'NAD 83(MA11)',
+        srsId: 6325,
+        name: 'NAD83(MA11)',
+        description: 'NAD83 (National Spatial Reference System MARP00), Guam and the Northern Mariana Islands',
+        definition: ogcWkt('NAD83(MA11)', 'NAD83_National_Spatial_Reference_System_MARP00', 1118, GRS_1980, 6325),
+        prj: esriWkt('GCS_NAD_1983_MA11', 'D_NAD_1983_MA11', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad83_2007',
+        matches: code => code === 'NAD 83(NSRS2007)',
+        srsId: 4759,
+        name: 'NAD83(NSRS2007)',
+        description: 'NAD83 (National Spatial Reference System 2007)',
+        definition: ogcWkt('NAD83(NSRS2007)', 'NAD83_National_Spatial_Reference_System_2007', 6759, GRS_1980, 4759),
+        prj: esriWkt('GCS_NAD_1983_NSRS2007', 'D_NAD_1983_NSRS2007', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad83_cors96',
+        matches: code => code === 'NAD 83(CORS96)',
+        srsId: 6783,
+        name: 'NAD83(CORS96)',
+        description: 'NAD83 (Continuously Operating Reference Station 1996)',
+        definition: ogcWkt('NAD83(CORS96)', 'NAD83_Continuously_Operating_Reference_Station_1996', 1133, GRS_1980, 6783),
+        prj: esriWkt('GCS_NAD_1983_CORS96', 'D_NAD_1983_CORS96', ESRI_GRS_1980)
+    },
+    {
+        // HARN realizations carry their adjustment year, e.g. NAD 83(1993)
+        key: 'nad83_harn',
+        matches: code => code === 'NAD 83(HARN)' || (/^NAD 83\(\d{4}\)$/.test(code) && code !== 'NAD 83(1986)'),
+        srsId: 4152,
+        name: 'NAD83(HARN)',
+        description: 'NAD83 (High Accuracy Reference Network)',
+        definition: ogcWkt('NAD83(HARN)', 'NAD83_High_Accuracy_Reference_Network', 6152, GRS_1980, 4152),
+        prj: esriWkt('GCS_North_American_1983_HARN', 'D_North_American_1983_HARN', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad83_1986',
+        matches: code => code === 'NAD 83(1986)',
+        srsId: 4269,
+        name: 'NAD83',
+        description: 'North American Datum 1983 (1986 adjustment)',
+        definition: ogcWkt('NAD83', 'North_American_Datum_1983', 6269, GRS_1980, 4269),
+        prj: esriWkt('GCS_North_American_1983', 'D_North_American_1983', ESRI_GRS_1980)
+    },
+    {
+        key: 'nad27',
+        matches: code => code === 'NAD 27',
+        srsId: 4267,
+        name: 'NAD27',
+        description: 'North American Datum 1927',
+        definition: ogcWkt('NAD27', 'North_American_Datum_1927', 6267, CLARKE_1866, 4267),
+        prj: esriWkt('GCS_North_American_1927', 'D_North_American_1927', ESRI_CLARKE_1866)
+    }
+];
+
+// Positions on any other datum (the territories' old local datums, or none
+// given): GeoPackage's undefined geographic SRS and a shapefile without .prj
+const UNDEFINED_SYSTEM = {
+    key: 'other_datum',
+    srsId: 0,
+    name: 'Undefined geographic SRS',
+    description: 'undefined geographic coordinate reference system',
+    definition: 'undefined',
+    prj: null
+};
+
+// Reference system of a benchmark's current position
+function referenceSystem(benchmark) {
+    const datum = benchmark.datums && benchmark.datums.horizontal;
+    const code = datum ? datum.code : null;
+    return (code && REFERENCE_SYSTEMS.find(system => system.matches(code))) || UNDEFINED_SYSTEM;
+}
+
+module.exports = {
+    REFERENCE_SYSTEMS,
+    UNDEFINED_SYSTEM,
+    referenceSystem
+};
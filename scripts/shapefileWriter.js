@@ -0,0 +1,325 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const AdmZip = require('adm-zip');
+const { ATTRIBUTE_FIELDS } = require('./benchmarkAttributes');
+const { REFERENCE_SYSTEMS, referenceSystem } = require('./referenceSystems');
+
+// ESRI Shapefile of benchmarks as points: .shp geometry, .shx record index,
+// .dbf attributes (the benchmarkAttributes.js table), .prj and .cpg, zipped
+// together for delivery. A .prj names one coordinate system, so there is a
+// shapefile per datum the positions are on (referenceSystems.js), e.g.
+// ngs_benchmarks_nad83_2011.shp and ngs_benchmarks_nad83_pa11.shp. Written a
+// record at a time with the file headers patched once the count and extent
+// are known, so a national file streams.
+
+const SHAPE_POINT = 1;
+const HEADER_LENGTH = 100;
+const POINT_RECORD_LENGTH = 28; // 8 byte record header + type + X + Y
+const EMPTY_EXTENT = { west: 0, south: 0, east: 0, north: 0 };
+
+// dBASE field names are at most 10 characters; attribute names longer than
+// that get a fixed short name so every export uses the same columns
+const DBF_FIELD_NAMES = {
+    designation: 'designat',
+    horizontal_datum: 'horiz_dtm',
+    position_source: 'pos_source',
+    latitude_dms: 'lat_dms',
+    longitude_dms: 'lon_dms',
+    orthometric_height: 'ortho_ht',
+    vertical_datum: 'vert_dtm',
+    height_source: 'ht_source',
+    ellipsoid_height: 'ellip_ht',
+    geoid_height: 'geoid_ht',
+    geoid_model: 'geoid_mdl',
+    dynamic_height: 'dynamic_ht',
+    horizontal_order: 'horiz_ord',
+    vertical_order: 'vert_ord',
+    vertical_class: 'vert_class',
+    ellipsoid_order: 'ellip_ord',
+    network_horizontal_cm: 'net_hz_cm',
+    network_vertical_cm: 'net_vt_cm',
+    date_established: 'date_estab',
+    last_recovered: 'last_recov',
+    related_count: 'related_ct',
+    datasheet_url: 'ds_url',
+    schema_version: 'schema_ver'
+};
+
+// Character field widths in bytes (UTF-8); others get DEFAULT_STRING_WIDTH
+const STRING_WIDTHS = {
+    pid: 6,
+    state: 2,
+    type: 16,
+    region: 16,
+    horizontal_datum: 24,
+    position_source: 16,
+    latitude_dms: 24,
+    longitude_dms: 24,
+    vertical_datum: 24,
+    height_source: 16,
+    geoid_model: 16,
+    horizontal_order: 16,
+    vertical_order: 16,
+    vertical_class: 8,
+    ellipsoid_order: 16,
+    stability: 4,
+    condition: 32,
+    date_established: 16,
+    last_recovered: 16,
+    aliases: 254,
+    datasheet_url: 254
+};
+const DEFAULT_STRING_WIDTH = 80;
+
+const NUMBER_FORMATS = {
+    latitude: { length: 15, decimals: 9 },
+    longitude: { length: 15, decimals: 9 }
+};
+const DEFAULT_NUMBER_FORMAT = { length: 12, decimals: 3 };
+const INTEGER_FORMAT = { length: 9, decimals: 0 };
+
+function dbfFieldName(name) {
+    return DBF_FIELD_NAMES[name] || name.slice(0, 10);
+}
+
+// dBASE column definitions for the attribute table, in ATTRIBUTE_FIELDS order
+const DBF_FIELDS = ATTRIBUTE_FIELDS.map(field => {
+    if (field.type === 'string') {
+        return { field, name: dbfFieldName(field.name), type: 'C', length: STRING_WIDTHS[field.name] || DEFAULT_STRING_WIDTH, decimals: 0 };
+    }
+    const format = field.type === 'integer' ? INTEGER_FORMAT : (NUMBER_FORMATS[field.name] || DEFAULT_NUMBER_FORMAT);
+    return { field, name: dbfFieldName(field.name), type: 'N', ...format };
+});
+
+(function checkFieldNames() {
+    const seen = new Set();
+    DBF_FIELDS.forEach(({ field, name }) => {
+        if (name.length > 10 || seen.has(name.toLowerCase())) {
+            throw new Error(`DBF field name "${name}" for ${field.name} is too long or not unique`);
+        }
+        seen.add(name.toLowerCase());
+    });
+})();
+
+const DBF_RECORD_LENGTH = 1 + DBF_FIELDS.reduce((total, field) => total + field.length, 0);
+const DBF_HEADER_LENGTH = 32 + 32 * DBF_FIELDS.length + 1;
+
+// Main file / index header: big-endian code and length, little-endian rest
+function shapeHeader(fileLength, extent) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE(fileLength / 2, 24);
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(SHAPE_POINT, 32);
+    header.writeDoubleLE(extent.west, 36);
+    header.writeDoubleLE(extent.south, 44);
+    header.writeDoubleLE(extent.east, 52);
+    header.writeDoubleLE(extent.north, 60);
+    return header;
+}
+
+function pointRecord(recordNumber, benchmark) {
+    const record = Buffer.alloc(POINT_RECORD_LENGTH);
+    record.writeInt32BE(recordNumber, 0);
+    record.writeInt32BE((POINT_RECORD_LENGTH - 8) / 2, 4);
+    record.writeInt32LE(SHAPE_POINT, 8);
+    record.writeDoubleLE(benchmark.longitude, 12);
+    record.writeDoubleLE(benchmark.latitude, 20);
+    return record;
+}
+
+function indexRecord(recordNumber) {
+    const record = Buffer.alloc(8);
+    record.writeInt32BE((HEADER_LENGTH + (recordNumber - 1) * POINT_RECORD_LENGTH) / 2, 0);
+    record.writeInt32BE((POINT_RECORD_LENGTH - 8) / 2, 4);
+    return record;
+}
+
+function dbfHeader(count, date = new Date()) {
+    const header = Buffer.alloc(DBF_HEADER_LENGTH);
+    header.writeUInt8(0x03, 0);
+    header.writeUInt8(date.getFullYear() - 1900, 1);
+    header.writeUInt8(date.getMonth() + 1, 2);
+    header.writeUInt8(date.getDate(), 3);
+    header.writeUInt32LE(count, 4);
+    header.writeUInt16LE(DBF_HEADER_LENGTH, 8);
+    header.writeUInt16LE(DBF_RECORD_LENGTH, 10);
+
+    DBF_FIELDS.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        header.write(field.name, offset, 10, 'ascii');
+        header.write(field.type, offset + 11, 1, 'ascii');
+        header.writeUInt8(field.length, offset + 16);
+        header.writeUInt8(field.decimals, offset + 17);
+    });
+    header.writeUInt8(0x0d, DBF_HEADER_LENGTH - 1);
+
+    return header;
+}
+
+// Text cut to the field width without splitting a UTF-8 sequence
+function fitText(value, length) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    if (bytes.length <= length) return bytes;
+
+    let end = length;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+    return bytes.subarray(0, end);
+}
+
+// Numbers right-aligned; null, or too wide for the field, stays blank
+function fitNumber(value, field) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const text = value.toFixed(field.decimals);
+    return text.length <= field.length ? Buffer.from(text.padStart(field.length), 'ascii') : null;
+}
+
+function dbfRecord(benchmark) {
+    const record = Buffer.alloc(DBF_RECORD_LENGTH, 0x20);
+    let offset = 1;
+
+    DBF_FIELDS.forEach(field => {
+        const value = field.field.value(benchmark);
+        const bytes = value === null || value === undefined
+            ? null
+            : (field.type === 'C' ? fitText(value, field.length) : fitNumber(value, field));
+        if (bytes) bytes.copy(record, offset);
+        offset += field.length;
+    });
+
+    return record;
+}
+
+async function writeChunk(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+async function patchHeader(file, header) {
+    const fd = await fs.open(file, 'r+');
+    try {
+        await fs.write(fd, header, 0, header.length, 0);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+// Start a shapefile: streams for its parts, each with a placeholder header
+async function openShapefile(file) {
+    const shapefile = {
+        file,
+        shp: fs.createWriteStream(file('.shp')),
+        shx: fs.createWriteStream(file('.shx')),
+        dbf: fs.createWriteStream(file('.dbf')),
+        count: 0,
+        extent: null
+    };
+
+    await writeChunk(shapefile.shp, shapeHeader(HEADER_LENGTH, EMPTY_EXTENT));
+    await writeChunk(shapefile.shx, shapeHeader(HEADER_LENGTH, EMPTY_EXTENT));
+    await writeChunk(shapefile.dbf, dbfHeader(0));
+
+    return shapefile;
+}
+
+async function addPoint(shapefile, benchmark) {
+    const count = ++shapefile.count;
+    await writeChunk(shapefile.shp, pointRecord(count, benchmark));
+    await writeChunk(shapefile.shx, indexRecord(count));
+    await writeChunk(shapefile.dbf, dbfRecord(benchmark));
+
+    const extent = shapefile.extent || { west: benchmark.longitude, south: benchmark.latitude, east: benchmark.longitude, north: benchmark.latitude };
+    extent.west = Math.min(extent.west, benchmark.longitude);
+    extent.east = Math.max(extent.east, benchmark.longitude);
+    extent.south = Math.min(extent.south, benchmark.latitude);
+    extent.north = Math.max(extent.north, benchmark.latitude);
+    shapefile.extent = extent;
+}
+
+// Finish the parts, patch in the count and extent and add the .prj (when
+// the datum is one referenceSystems.js knows) and .cpg
+async function closeShapefile(shapefile, system) {
+    const { file, shp, shx, dbf, count } = shapefile;
+    const extent = shapefile.extent || EMPTY_EXTENT;
+
+    dbf.write(Buffer.from([0x1a]));
+    [shp, shx, dbf].forEach(stream => stream.end());
+    await Promise.all([finished(shp), finished(shx), finished(dbf)]);
+
+    await patchHeader(file('.shp'), shapeHeader(HEADER_LENGTH + count * POINT_RECORD_LENGTH, extent));
+    await patchHeader(file('.shx'), shapeHeader(HEADER_LENGTH + count * 8, extent));
+    await patchHeader(file('.dbf'), dbfHeader(count));
+
+    if (system.prj) {
+        await fs.writeFile(file('.prj'), system.prj);
+    }
+    await fs.writeFile(file('.cpg'), 'UTF-8');
+}
+
+// Write <outputDir>/<baseName>_<datum>.shp/.shx/.dbf/.prj/.cpg, one set per
+// reference system the positions are on (an empty NAD 83(2011) one when
+// there are no benchmarks); returns the number of points
+async function writeShapefile(benchmarks, outputDir, baseName) {
+    await fs.ensureDir(outputDir);
+
+    const shapefiles = new Map();
+    const open = async system => {
+        if (!shapefiles.has(system)) {
+            shapefiles.set(system, await openShapefile(extension => path.join(outputDir, `${baseName}_${system.key}${extension}`)));
+        }
+        return shapefiles.get(system);
+    };
+    let count = 0;
+
+    try {
+        for await (const benchmark of benchmarks) {
+            await addPoint(await open(referenceSystem(benchmark)), benchmark);
+            count++;
+        }
+        if (count === 0) {
+            await open(REFERENCE_SYSTEMS[0]);
+        }
+
+        for (const [system, shapefile] of shapefiles) {
+            await closeShapefile(shapefile, system);
+        }
+    } catch (error) {
+        shapefiles.forEach(({ shp, shx, dbf }) => [shp, shx, dbf].forEach(stream => stream.destroy()));
+        throw error;
+    }
+
+    return count;
+}
+
+// Write the shapefiles zipped as <name>.zip, the parts named after the zip;
+// returns the number of points
+async function writeShapefileZip(benchmarks, outputFile) {
+    const baseName = path.basename(outputFile, path.extname(outputFile));
+    const partsDir = `${outputFile}.parts`;
+    const tempFile = `${outputFile}.tmp`;
+
+    try {
+        const count = await writeShapefile(benchmarks, partsDir, baseName);
+
+        const zip = new AdmZip();
+        for (const part of (await fs.readdir(partsDir)).sort()) {
+            zip.addLocalFile(path.join(partsDir, part));
+        }
+        zip.writeZip(tempFile);
+        await fs.move(tempFile, outputFile, { overwrite: true });
+
+        return count;
+    } finally {
+        await fs.remove(partsDir);
+    }
+}
+
+module.exports = {
+    DBF_FIELDS,
+    dbfFieldName,
+    writeShapefile,
+    writeShapefileZip
+};
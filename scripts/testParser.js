@@ -1,113 +1,849 @@
+const assert = require('assert');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const readline = require('readline');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const NGSDatasheetParser = require('./ngsDatasheetParser');
+const DatasheetWorkerPool = require('./datasheetWorkerPool');
+const PidIndex = require('./pidIndex');
+const { openDatasheet, listStateSources, readRange } = require('./datasheetSource');
+const { writeFeatureCollection } = require('./geojsonWriter');
+const { writeKml, writeKmz } = require('./kmlWriter');
+const { writeGpx } = require('./gpxWriter');
+const { DBF_FIELDS, writeShapefileZip } = require('./shapefileWriter');
+const { referenceSystem } = require('./referenceSystems');
+const { GEOPACKAGE_UNAVAILABLE, hasGeoPackageSupport } = require('./geopackageSupport');
 
-class NGSDatasheetParser {
-    constructor() {
-        this.benchmarks = [];
+// One mark per territory / non-CONUS region: horizontal datum, hemispheres,
+// local vertical datum and the oldest superseded datum
+const TERRITORY_FIXTURES = [
+    {
+        pid: 'TP0001', state: 'PR', county: 'SAN JUAN', designation: 'SAN JUAN TIDAL 1',
+        datum: 'NAD 83(2011)', latitude: '18 27 56.12345(N)', longitude: '066 06 58.12345(W)',
+        verticalDatum: 'PRVD02', oldDatum: 'PUERTO RICO', region: 'Puerto Rico', signs: [1, -1]
+    },
+    {
+        pid: 'TP0002', state: 'VI', county: 'ST THOMAS', designation: 'CHARLOTTE AMALIE',
+        datum: 'NAD 83(2011)', latitude: '18 20 31.54321(N)', longitude: '064 55 14.54321(W)',
+        verticalDatum: 'VIVD09', oldDatum: 'PUERTO RICO', region: 'U.S. Virgin Islands', signs: [1, -1]
+    },
+    {
+        pid: 'TP0003', state: 'GU', county: 'GUAM', designation: 'APRA HARBOR',
+        datum: 'NAD 83(MA11)', latitude: '13 26 21.12345(N)', longitude: '144 39 23.12345(E)',
+        verticalDatum: 'GUVD04', oldDatum: 'GUAM 1963', region: 'Guam', signs: [1, 1]
+    },
+    {
+        pid: 'TP0004', state: 'MP', county: 'SAIPAN', designation: 'TANAPAG',
+        datum: 'NAD 83(MA11)', latitude: '15 13 36.12345(N)', longitude: '145 44 29.12345(E)',
+        verticalDatum: 'NMVD03', oldDatum: 'NAD 83(1993)', region: 'Northern Mariana Islands', signs: [1, 1]
+    },
+    {
+        pid: 'TP0005', state: 'AS', county: 'EASTERN', designation: 'PAGO PAGO',
+        datum: 'NAD 83(PA11)', latitude: '14 16 48.12345(S)', longitude: '170 41 26.12345(W)',
+        verticalDatum: 'ASVD02', oldDatum: 'AMERICAN SAMOA 1962', region: 'American Samoa', signs: [-1, -1]
+    },
+    {
+        pid: 'TP0006', state: 'HI', county: 'HONOLULU', designation: 'HONOLULU TIDAL',
+        datum: 'NAD 83(PA11)', latitude: '21 18 25.12345(N)', longitude: '157 52 00.12345(W)',
+        verticalDatum: 'LMSL', oldDatum: 'OLD HAWAIIAN', region: 'Hawaii', signs: [1, -1]
+    },
+    {
+        pid: 'TP0007', state: 'AK', county: 'ANCHORAGE', designation: 'ANCHORAGE TIDAL',
+        datum: 'NAD 83(2011)', latitude: '61 14 18.12345(N)', longitude: '149 53 16.12345(W)',
+        verticalDatum: 'NAVD 88', oldDatum: 'NAD 27', region: 'Alaska', signs: [1, -1]
+    },
+    {
+        // Western Aleutians are east of the antimeridian
+        pid: 'TP0008', state: 'AK', county: 'ALEUTIANS WEST', designation: 'ATTU',
+        datum: 'NAD 83(2011)', latitude: '52 49 52.12345(N)', longitude: '173 10 44.12345(E)',
+        verticalDatum: 'NAVD 88', oldDatum: 'NAD 27', region: 'Alaska', signs: [1, 1]
     }
+];
 
-    async parseDatasheetFile(filePath, stateCode) {
+// A fuller entry for the formatter round trip: header flags, every current
+// control block, notes, SPC / UTM, box score, superseded rows, mark
+// description with continuation lines, history and recoveries
+const ROUND_TRIP_ENTRY = [
+    '1        National Geodetic Survey, Retrieval Date = OCTOBER 19, 2026',
+    ' RT0001 ***********************************************************************',
+    ' RT0001  TIDAL BM    - This is a Tidal Bench Mark.',
+    ' RT0001  DESIGNATION -  NILAND 2',
+    ' RT0001  PID         -  RT0001',
+    ' RT0001  STATE/COUNTY-  CA/IMPERIAL',
+    ' RT0001  COUNTRY     -  US',
+    ' RT0001  USGS QUAD   -  NILAND (1992)',
+    ' RT0001',
+    ' RT0001                         *CURRENT SURVEY CONTROL',
+    ' RT0001  ______________________________________________________________________',
+    ' RT0001* NAD 83(2011) POSITION- 33 07 29.50417(N) 115 30 59.92612(W)   ADJUSTED',
+    ' RT0001* NAD 83(2011) ELLIP HT-   -68.367 (meters)        (06/27/12)   ADJUSTED',
+    ' RT0001* NAD 83(2011) EPOCH   -  2010.00',
+    ' RT0001* NAVD 88 ORTHO HEIGHT -   -35.054 (meters)     -115.01  (feet) ADJUSTED',
+    ' RT0001  ______________________________________________________________________',
+    ' RT0001  NAVD 88 orthometric height was determined with geoid model GEOID09',
+    ' RT0001  GEOID HEIGHT    -        -33.31  (meters)                     GEOID18',
+    ' RT0001  NAD 83(2011) X  -   -2,297,960.797 (meters)                   COMP',
+    ' RT0001  NAD 83(2011) Y  -   -4,793,849.234 (meters)                   COMP',
+    ' RT0001  NAD 83(2011) Z  -    3,462,052.683 (meters)                   COMP',
+    ' RT0001  LAPLACE CORR    -         -3.21  (seconds)                    DEFLEC18',
+    ' RT0001  DEFLEC18 XI     -         -1.33  (seconds)                    DEFLEC18',
+    ' RT0001  DEFLEC18 ETA    -          2.70  (seconds)                    DEFLEC18',
+    ' RT0001  DYNAMIC HEIGHT  -        -35.030 (meters)     -114.93  (feet) COMP',
+    ' RT0001  MODELED GRAVITY -   979,562.6   (mgal)                       NAVD 88',
+    ' RT0001',
+    ' RT0001  HORZ ORDER      -  FIRST',
+    ' RT0001  VERT ORDER      -  FIRST     CLASS II',
+    ' RT0001  ELLP ORDER      -  FOURTH    CLASS I',
+    ' RT0001',
+    ' RT0001  NETWORK   1.18   2.31           0.47   0.49   1.18      -0.00587716',
+    ' RT0001',
+    ' RT0001.The horizontal coordinates were established by GPS observations',
+    ' RT0001.and adjusted by the National Geodetic Survey in June 2012.',
+    ' RT0001',
+    ' RT0001;                   North         East     Units Scale Factor Converg.',
+    ' RT0001;SPC CA 6     -   604,523.215 2,096,374.592   MT  0.99996813   +0 22 10.6',
+    ' RT0001;SPC CA 6     - 1,983,339.33  6,877,854.85   sFT  0.99996813   +0 22 10.6',
+    ' RT0001;UTM  11      - 3,664,733.806   638,167.186   MT  0.99973440   +0 40 03.0',
+    ' RT0001',
+    ' RT0001!             -  Elev Factor  x  Scale Factor =  Combined Factor',
+    ' RT0001!SPC CA 6     -   1.00001073  x   0.99996813  =   0.99997886',
+    ' RT0001!UTM  11      -   1.00001073  x   0.99973440  =   0.99974513',
+    ' RT0001',
+    ' RT0001|---------------------------------------------------------------------|',
+    ' RT0001| PID    Reference Object                     Distance      Geod. Az  |',
+    ' RT0001|                                                           dddmmss.s |',
+    ' RT0001| RT0002 NILAND 2 RM 1                        12.345 METERS 0451230.0 |',
+    ' RT0001| RT0004 NILAND 2 RM 2                        13.645 METERS 05806     |',
+    ' RT0001| RT0003 NILAND 2 AZ MK                                     1232347.3 |',
+    ' RT0001|        NILAND WATER TANK                  APPROX. 1.2 KM 2034512.3 |',
+    ' RT0001|---------------------------------------------------------------------|',
+    ' RT0001',
+    ' RT0001                          SUPERSEDED SURVEY CONTROL',
+    ' RT0001',
+    ' RT0001  NAD 83(2007)-  33 07 29.50409(N)    115 30 59.92575(W) AD(2002.00) 0',
+    ' RT0001  ELLIP H (02/10/07)   -68.379  (m)                        GP(2002.00)',
+    ' RT0001  NAD 27      -  33 07 29.92500(N)    115 30 56.95900(W) AD(       ) 1',
+    ' RT0001  NAVD 88 (06/27/12)  -35.05  (m)        -115.0  (f) LEVELING    3',
+    ' RT0001  NGVD 29 (??/??/92)  -34.457 (m)     -113.05  (f) ADJ UNCH   1 2',
+    ' RT0001',
+    ' RT0001_U.S. NATIONAL GRID SPATIAL ADDRESS: 11SNS3816764733(NAD 83)',
+    ' RT0001_MARKER: DD = SURVEY DISK',
+    ' RT0001_SETTING: 7 = SET IN TOP OF CONCRETE MONUMENT',
+    ' RT0001_SP_SET: CONCRETE POST',
+    ' RT0001_STAMPING: NILAND 2 1934',
+    ' RT0001_MARK LOGO: CGS',
+    ' RT0001_STABILITY: C = MAY HOLD, BUT OF TYPE COMMONLY SUBJECT TO',
+    ' RT0001+STABILITY: SURFACE MOTION',
+    ' RT0001',
+    ' RT0001  HISTORY     - Date     Condition        Report By',
+    ' RT0001  HISTORY     - 1934     MONUMENTED       CGS',
+    ' RT0001  HISTORY     - 20020112 GOOD             NGS',
+    ' RT0001',
+    ' RT0001                          STATION DESCRIPTION',
+    ' RT0001',
+    ' RT0001\'DESCRIBED BY COAST AND GEODETIC SURVEY 1934',
+    ' RT0001\'2.4 MI NW FROM NILAND. STATION IS ALSO KNOWN AS NILAND SW.',
+    ' RT0001',
+    ' RT0001                          STATION RECOVERY (1967)',
+    ' RT0001',
+    ' RT0001\'RECOVERY NOTE BY COAST AND GEODETIC SURVEY 1967',
+    ' RT0001\'RECOVERED IN GOOD CONDITION.',
+    ' RT0001',
+    ' RT0001                          STATION RECOVERY (2002)',
+    ' RT0001',
+    ' RT0001\'RECOVERY NOTE BY NATIONAL GEODETIC SURVEY 2002 (JDW)',
+    ' RT0001\'RECOVERED AS DESCRIBED.'
+].join('\n');
+
+// Build a minimal datasheet entry for a fixture
+function territoryEntry(fixture) {
+    const line = text => ` ${fixture.pid}${text}`;
+
+    return [
+        '1        National Geodetic Survey, Retrieval Date = OCTOBER 19, 2026',
+        line(' ***********************************************************************'),
+        line(`  DESIGNATION -  ${fixture.designation}`),
+        line(`  PID         -  ${fixture.pid}`),
+        line(`  STATE/COUNTY-  ${fixture.state}/${fixture.county}`),
+        line(''),
+        line('                         *CURRENT SURVEY CONTROL'),
+        line('  ______________________________________________________________________'),
+        line(`* ${fixture.datum} POSITION- ${fixture.latitude} ${fixture.longitude}   ADJUSTED`),
+        line(`* ${fixture.datum} ELLIP HT-    12.345 (meters)        (02/26/15)   ADJUSTED`),
+        line(`* ${fixture.verticalDatum} ORTHO HEIGHT -     4.567 (meters)       14.98  (feet) ADJUSTED`),
+        line('  ______________________________________________________________________'),
+        line(''),
+        line('                          SUPERSEDED SURVEY CONTROL'),
+        line(''),
+        line(`  ${fixture.oldDatum}-  ${fixture.latitude}    ${fixture.longitude} AD(       ) 1`)
+    ].join('\n');
+}
+
+// Parse every territory fixture and check datums, hemispheres and region.
+// Returns the number of failures.
+function runTerritoryTests() {
+    const parser = new NGSDatasheetParser();
+    let failures = 0;
+
+    console.log('🌐 Territory and non-CONUS datum tests:');
+
+    TERRITORY_FIXTURES.forEach(fixture => {
         try {
-            console.log(`Parsing ${stateCode} datasheets...`);
-            
-            const fileStream = fs.createReadStream(filePath);
-            const rl = readline.createInterface({
-                input: fileStream,
-                crlfDelay: Infinity
-            });
+            const benchmark = parser.parseDatasheetEntry(territoryEntry(fixture));
 
-            let currentBenchmark = null;
-            let lineCount = 0;
-
-            for await (const line of rl) {
-                lineCount++;
-                
-                // Start new benchmark when we see a retrieval date line
-                if (line.includes('National Geodetic Survey, Retrieval Date')) {
-                    // Save previous benchmark if it has coordinates
-                    if (currentBenchmark && currentBenchmark.latitude && currentBenchmark.longitude) {
-                        this.benchmarks.push(currentBenchmark);
-                    }
-                    
-                    // Start new benchmark
-                    currentBenchmark = {
-                        id: null,
-                        name: null,
-                        type: 'Control Point',
-                        latitude: null,
-                        longitude: null,
-                        elevation: null,
-                        state: stateCode,
-                        description: null
-                    };
-                }
+            assert.ok(benchmark, 'entry was dropped');
+            assert.strictEqual(benchmark.id, fixture.pid);
+            assert.strictEqual(benchmark.state, fixture.state);
+            assert.strictEqual(benchmark.region, fixture.region);
+            assert.strictEqual(Math.sign(benchmark.latitude), fixture.signs[0], 'latitude hemisphere');
+            assert.strictEqual(Math.sign(benchmark.longitude), fixture.signs[1], 'longitude hemisphere');
+            assert.strictEqual(benchmark.datums.horizontal.code, fixture.datum);
+            assert.ok(benchmark.datums.horizontal.name, `${fixture.datum} is not a known datum`);
+            assert.strictEqual(benchmark.datums.vertical.code, fixture.verticalDatum);
+            assert.ok(benchmark.datums.vertical.name, `${fixture.verticalDatum} is not a known datum`);
+            assert.strictEqual(benchmark.orthometricHeight.datum, fixture.verticalDatum);
+            assert.strictEqual(benchmark.ellipsoidHeight.datum, fixture.datum);
+            assert.strictEqual(benchmark.elevation, 4.567);
+            assert.strictEqual(benchmark.history.length, 1, 'superseded row');
+            assert.strictEqual(benchmark.history[0].datum, fixture.oldDatum);
+            assert.strictEqual(Math.sign(benchmark.history[0].longitude), fixture.signs[1]);
 
-                if (currentBenchmark) {
-                    // Parse PID
-                    if (line.includes('PID') && line.includes('-')) {
-                        const pidMatch = line.match(/PID\s*-\s*([A-Z0-9]+)/);
-                        if (pidMatch) {
-                            currentBenchmark.id = pidMatch[1];
-                        }
-                    }
-
-                    // Parse coordinates
-                    if (line.includes('POSITION-') && line.includes('N)') && line.includes('W)')) {
-                        const coordMatch = line.match(/(\d+)\s+(\d+)\s+([\d.]+)\(N\)\s+(\d+)\s+(\d+)\s+([\d.]+)\(W\)/);
-                        if (coordMatch) {
-                            const latDeg = parseInt(coordMatch[1]);
-                            const latMin = parseInt(coordMatch[2]);
-                            const latSec = parseFloat(coordMatch[3]);
-                            const lonDeg = parseInt(coordMatch[4]);
-                            const lonMin = parseInt(coordMatch[5]);
-                            const lonSec = parseFloat(coordMatch[6]);
-
-                            currentBenchmark.latitude = latDeg + (latMin / 60) + (latSec / 3600);
-                            currentBenchmark.longitude = -(lonDeg + (lonMin / 60) + (lonSec / 3600));
-                        }
-                    }
-
-                    // Parse elevation
-                    if (line.includes('ELLIP HT-') || line.includes('ORTHO HEIGHT')) {
-                        const elevMatch = line.match(/(?:ELLIP HT-|ORTHO HEIGHT\s*-)\s*([\d.-]+)\s*\(meters\)/);
-                        if (elevMatch) {
-                            currentBenchmark.elevation = parseFloat(elevMatch[1]);
-                        }
-                    }
-
-                    // Parse designation for name
-                    if (line.includes('DESIGNATION') && line.includes('-')) {
-                        const nameMatch = line.match(/DESIGNATION\s*-\s*(.+)/);
-                        if (nameMatch) {
-                            currentBenchmark.name = nameMatch[1].trim();
-                        }
-                    }
+            console.log(`  ✓ ${fixture.state} ${fixture.designation}: ${benchmark.datums.horizontal.code} / ${benchmark.datums.vertical.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ✗ ${fixture.state} ${fixture.designation}: ${error.message}`);
+        }
+    });
+
+    try {
+        assert.strictEqual(parser.parseDatasheetEntry(ROUND_TRIP_ENTRY).region, 'CONUS');
+        const unknown = parser.parseDatasheetEntry(ROUND_TRIP_ENTRY.replace('CA/IMPERIAL', 'XX/IMPERIAL'));
+        assert.strictEqual(unknown.region, null);
+
+        // A stability code outside the table keeps the datasheet's label
+        const stability = parser.parseDatasheetEntry(ROUND_TRIP_ENTRY.replace('STABILITY: C =', 'STABILITY: E =')).monument.stability;
+        assert.strictEqual(stability.code, 'E');
+        assert.match(stability.label, /^MAY HOLD/);
+        assert.strictEqual(stability.description, null);
+
+        console.log('  ✓ CONUS, unknown state and stability codes');
+    } catch (error) {
+        failures++;
+        console.log(`  ✗ CONUS, unknown state and stability codes: ${error.message}`);
+    }
+
+    return failures;
+}
+
+// Parse an entry, format it back to datasheet text and parse that again:
+// every field of the benchmark has to survive, and the text has to keep to
+// the 80-column layout
+function checkRoundTrip(parser, text, stateCode = null) {
+    const benchmark = parser.parseDatasheetEntry(text, stateCode);
+    assert.ok(benchmark, 'entry was dropped');
+
+    const formatted = parser.formatDatasheetEntry(benchmark);
+    assert.deepStrictEqual(parser.parseDatasheetEntry(formatted, stateCode), benchmark);
+
+    const wide = formatted.split('\n').find(line => line.length > 80);
+    assert.ok(!wide, `line over 80 columns: ${wide}`);
+
+    return benchmark;
+}
+
+// Round trips of the full fixture, the territory fixtures and a record
+// edited after parsing. Returns the number of failures.
+function runFormatterTests() {
+    const parser = new NGSDatasheetParser();
+    const cases = [['full entry', () => checkRoundTrip(parser, ROUND_TRIP_ENTRY)]];
+
+    TERRITORY_FIXTURES.forEach(fixture => {
+        cases.push([`${fixture.state} ${fixture.designation}`, () => checkRoundTrip(parser, territoryEntry(fixture))]);
+    });
+
+    cases.push(['dddmm reference mark azimuth', () => {
+        const mark = parser.parseDatasheetEntry(ROUND_TRIP_ENTRY).relatedMarks.find(related => related.pid === 'RT0004');
+        assert.strictEqual(mark.name, 'NILAND 2 RM 2');
+        assert.strictEqual(mark.relation, 'reference mark');
+        assert.strictEqual(mark.distance.meters, 13.645);
+        assert.strictEqual(mark.azimuth, '05806');
+        assert.strictEqual(mark.azimuthDegrees, 58.1);
+
+        // A name ending in a number keeps it when no distance comes before
+        const named = { relatedMarks: [] };
+        parser.recordParser.parseBoxScoreLine(named, '|        USGS GAGE 12345                                             |');
+        assert.strictEqual(named.relatedMarks[0].name, 'USGS GAGE 12345');
+        assert.strictEqual(named.relatedMarks[0].azimuth, null);
+    }]);
+
+    cases.push(['added recovery note', () => {
+        const benchmark = parser.parseDatasheetEntry(ROUND_TRIP_ENTRY);
+        const added = {
+            date: '2026-10-19',
+            year: 2026,
+            condition: 'GOOD',
+            reportedBy: 'COUNTY',
+            recoveredBy: null,
+            observer: null,
+            note: 'RECOVERY NOTE BY IMPERIAL COUNTY 2026 (ABC)\nRECOVERED AS DESCRIBED. A NEW WITNESS POST WAS SET 1 METER EAST OF THE MARK FOR THE CREWS.'
+        };
+        benchmark.recoveries.push(added);
+
+        const reparsed = parser.parseDatasheetEntry(parser.formatDatasheetEntry(benchmark));
+        const recovery = reparsed.recoveries[reparsed.recoveries.length - 1];
+        assert.strictEqual(recovery.date, '2026-10-19');
+        assert.strictEqual(recovery.condition, 'GOOD');
+        assert.strictEqual(recovery.recoveredBy, 'IMPERIAL COUNTY');
+        assert.strictEqual(recovery.note.replace(/\n/g, ' '), added.note.replace(/\n/g, ' '));
+        assert.deepStrictEqual(reparsed.lastRecovery, { date: '2026-10-19', condition: 'GOOD' });
+    }]);
+
+    let failures = 0;
+    console.log('\n📝 Datasheet formatter round trips:');
+
+    cases.forEach(([name, run]) => {
+        try {
+            run();
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ✗ ${name}: ${error.message}`);
+        }
+    });
+
+    return failures;
+}
+
+// Write a datasheet folder of several states for the pipeline tests:
+// counts is { STATE: entries }, the entries built from the fixtures above
+// under PIDs of the state ("NV0000", "NV0001", ...)
+async function createDatasheetFolder(dir, counts) {
+    for (const [state, count] of Object.entries(counts)) {
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const pid = `${state}${String(i).padStart(4, '0')}`;
+            entries.push(i % 5 === 4
+                ? ROUND_TRIP_ENTRY.replace(/RT0001/g, pid).replace('CA/IMPERIAL', `${state}/IMPERIAL`)
+                : territoryEntry({ ...TERRITORY_FIXTURES[i % TERRITORY_FIXTURES.length], pid, state }));
+        }
+        await fs.outputFile(path.join(dir, state, `${state}.txt`), `${entries.join('\n')}\n`);
+    }
+}
+
+// A parser reading dir/datasheets and writing everything under dir/processed,
+// where the inventory, diagnostics and PID index follow the output file
+function folderParser(dir, options = {}) {
+    return new NGSDatasheetParser({
+        datasheetDir: path.join(dir, 'datasheets'),
+        outputFile: path.join(dir, 'processed', 'parsed_benchmarks.json'),
+        ...options
+    });
+}
+
+// Run a parse with its progress logging silenced
+async function quietly(run) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return await run();
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+// The files a run writes, minus their "generated" timestamps
+async function processedFiles(dir) {
+    const processed = path.join(dir, 'processed');
+    const files = {};
+    for (const name of ['parsed_benchmarks.json', 'parse_diagnostics.json', 'pid_index.json']) {
+        files[name] = (await fs.readFile(path.join(processed, name), 'utf8'))
+            .replace(/"generated": ?"[^"]*"/g, '"generated":null');
+    }
+    return files;
+}
+
+// The whole text of a datasheet source
+async function sourceText(filePath) {
+    const chunks = [];
+    for await (const chunk of openDatasheet(filePath)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Whole parser runs on a generated datasheet folder, each case in its own
+// temporary folder. Returns the number of failures.
+async function runPipelineTests() {
+    const cases = [
+        ['worker output matches serial output', async (dir) => {
+            await createDatasheetFolder(path.join(dir, 'datasheets'), { AK: 12, CA: 30, NV: 7, PR: 18 });
+
+            const serialDir = path.join(dir, 'serial');
+            const workerDir = path.join(dir, 'workers');
+            await fs.copy(path.join(dir, 'datasheets'), path.join(serialDir, 'datasheets'));
+            await fs.copy(path.join(dir, 'datasheets'), path.join(workerDir, 'datasheets'));
+
+            const serial = folderParser(serialDir);
+            const workers = folderParser(workerDir, { workers: 3 });
+            await quietly(() => serial.processAllDatasheets());
+            await quietly(() => workers.processAllDatasheets());
+
+            assert.strictEqual(serial.getSummary().total, 67);
+            assert.deepStrictEqual(workers.getSummary(), serial.getSummary());
+            assert.deepStrictEqual(await processedFiles(workerDir), await processedFiles(serialDir));
+        }],
+        ['workers wait while the consumer is behind', async (dir) => {
+            const states = ['AK', 'AL', 'AZ', 'CA', 'CO', 'NV', 'OR', 'PR'];
+            await createDatasheetFolder(path.join(dir, 'datasheets'), Object.fromEntries(states.map(state => [state, 2])));
+            const pool = new DatasheetWorkerPool(2, { datasheetDir: path.join(dir, 'datasheets') });
+
+            const { log } = console;
+            const assigned = [];
+            console.log = (message) => {
+                if (/Parsing/.test(message)) assigned.push(message);
+            };
+            try {
+                const groups = pool.run(await listStateSources(path.join(dir, 'datasheets')));
+                const first = (await groups.next()).value;
+
+                // Leave the first state undrained while the workers run ahead:
+                // two finished states may wait, plus one in progress per worker
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                assert.ok(assigned.length <= 5, `${assigned.length} states taken while the consumer waited`);
+
+                const ids = [];
+                for await (const benchmark of first.benchmarks) ids.push(benchmark.id);
+                for await (const group of groups) {
+                    for await (const benchmark of group.benchmarks) ids.push(benchmark.id);
                 }
+                assert.strictEqual(ids.length, 16);
+                assert.strictEqual(assigned.length, states.length);
+            } finally {
+                console.log = log;
+            }
+        }],
+        ['a truncated archive fails the run', async (dir) => {
+            const datasheets = path.join(dir, 'datasheets');
+            await createDatasheetFolder(datasheets, { CA: 10, NV: 300 });
+
+            // Keep the first quarter of the gzipped NV file
+            const nvFile = path.join(datasheets, 'NV', 'NV.txt');
+            const gzipped = zlib.gzipSync(await fs.readFile(nvFile));
+            await fs.writeFile(`${nvFile}.gz`, gzipped.subarray(0, Math.floor(gzipped.length / 4)));
+            await fs.remove(nvFile);
+
+            for (const workers of [1, 3]) {
+                const parser = folderParser(dir, { workers, maxLossRate: 0.01 });
+                await quietly(() => parser.processAllDatasheets());
+
+                const failure = parser.diagnostics.failure('NV/NV.txt.gz');
+                assert.ok(failure, `no file failure recorded (workers: ${workers})`);
+                assert.ok(failure.reason);
+                assert.ok(failure.lastLine > 0, 'last line read');
+                assert.strictEqual(parser.diagnostics.failure('CA/CA.txt'), null);
+                assert.strictEqual(parser.diagnostics.totals().failedFiles, 1);
+                assert.ok(parser.exceedsLossThreshold(), 'failed file does not fail the run');
+            }
+        }],
+        ['unchanged files are reused, changed ones parsed again', async (dir) => {
+            const datasheets = path.join(dir, 'datasheets');
+            await createDatasheetFolder(datasheets, { CA: 10, NV: 8 });
+
+            const first = folderParser(dir);
+            await quietly(() => first.processAllDatasheets());
+            const before = (await first.inventory.load()).files;
+
+            // NV gets two more entries; CA stays as it was
+            await createDatasheetFolder(datasheets, { NV: 10 });
+            const second = folderParser(dir);
+            await quietly(() => second.processAllDatasheets());
+            const after = (await second.inventory.load()).files;
 
-                // Stop after processing some lines for testing
-                if (lineCount > 10000) break;
+            assert.strictEqual(after['CA/CA.txt'].parsedAt, before['CA/CA.txt'].parsedAt, 'CA was parsed again');
+            assert.notStrictEqual(after['NV/NV.txt'].hash, before['NV/NV.txt'].hash);
+            assert.strictEqual(after['NV/NV.txt'].count, 10);
+
+            // Same output as parsing everything from scratch
+            const reused = await processedFiles(dir);
+            await quietly(() => folderParser(dir, { force: true }).processAllDatasheets());
+            assert.deepStrictEqual(reused, await processedFiles(dir));
+        }],
+        ['a file that failed partway is not reused', async (dir) => {
+            const datasheets = path.join(dir, 'datasheets');
+            await createDatasheetFolder(datasheets, { CA: 10, NV: 300 });
+
+            const nvFile = path.join(datasheets, 'NV', 'NV.txt');
+            const gzipped = zlib.gzipSync(await fs.readFile(nvFile));
+            await fs.writeFile(`${nvFile}.gz`, gzipped.subarray(0, Math.floor(gzipped.length / 4)));
+            await fs.remove(nvFile);
+
+            const first = folderParser(dir);
+            await quietly(() => first.processAllDatasheets());
+            const inventory = await first.inventory.load();
+            assert.ok(!inventory.files['NV/NV.txt.gz'], 'failed file has an inventory record');
+
+            // The partial output still reads back in full
+            const pids = [];
+            for await (const benchmark of first.iterateParsedBenchmarks()) {
+                pids.push(benchmark.id);
             }
+            assert.strictEqual(pids.length, first.getSummary().total);
+            assert.deepStrictEqual(await first.listParsedStates(), ['CA', 'NV']);
+
+            // The same archive fails again rather than being reused, and
+            // once it is whole it is parsed in full without --force
+            const second = folderParser(dir);
+            await quietly(() => second.processAllDatasheets());
+            assert.ok(second.diagnostics.failure('NV/NV.txt.gz'));
 
-            // Don't forget the last benchmark
-            if (currentBenchmark && currentBenchmark.latitude && currentBenchmark.longitude) {
-                this.benchmarks.push(currentBenchmark);
+            await fs.writeFile(`${nvFile}.gz`, gzipped);
+            const third = folderParser(dir);
+            await quietly(() => third.processAllDatasheets());
+            assert.strictEqual(third.diagnostics.failure('NV/NV.txt.gz'), null);
+            assert.strictEqual(third.getSummary().byState.NV, 300);
+        }],
+        ['a failed write rejects', async (dir) => {
+            await createDatasheetFolder(path.join(dir, 'datasheets'), { CA: 5, NV: 5 });
+            await fs.outputFile(path.join(dir, 'processed'), 'a file where the output folder should be');
+
+            for (const workers of [1, 3]) {
+                await assert.rejects(quietly(() => folderParser(dir, { workers }).processAllDatasheets()),
+                    `processAllDatasheets resolved (workers: ${workers})`);
             }
+        }],
+        ['ZIP archives parse the same as their text', async (dir) => {
+            const textDir = path.join(dir, 'text');
+            const zipDir = path.join(dir, 'zip');
+            await createDatasheetFolder(path.join(textDir, 'datasheets'), { CA: 40 });
+
+            // Split across a deflated entry without a final line break and
+            // a stored one, plus a directory and a file that isn't a datasheet
+            const text = await fs.readFile(path.join(textDir, 'datasheets', 'CA', 'CA.txt'), 'utf8');
+            const split = text.indexOf('\n', Math.floor(text.length / 2));
+            const zip = new AdmZip();
+            zip.addFile('CA/', Buffer.alloc(0));
+            zip.addFile('CA/1.txt', Buffer.from(text.slice(0, split)));
+            zip.addFile('CA/2.txt', Buffer.from(text.slice(split + 1)));
+            zip.addFile('CA/README.pdf', Buffer.from('not a datasheet'));
+            zip.getEntry('CA/2.txt').header.method = 0;
+            const zipFile = path.join(zipDir, 'datasheets', 'CA', 'CA.zip');
+            await fs.ensureDir(path.dirname(zipFile));
+            zip.writeZip(zipFile);
+
+            assert.strictEqual(await sourceText(zipFile), text);
+
+            await quietly(() => folderParser(textDir).processAllDatasheets());
+            await quietly(() => folderParser(zipDir).processAllDatasheets());
+            // Same records and PID index offsets, only the source file differs,
+            // and the ZIP section also lists where its entries start
+            const textFiles = await processedFiles(textDir);
+            const zipFiles = await processedFiles(zipDir);
+            const zipIndex = JSON.parse(zipFiles['pid_index.json']);
+            assert.deepStrictEqual(zipIndex.files['CA/CA.zip'].entries, [['CA/1.txt', 0], ['CA/2.txt', split + 1]]);
+            delete zipIndex.files['CA/CA.zip'].entries;
+            assert.strictEqual(`${JSON.stringify(zipIndex)}\n`, textFiles['pid_index.json'].replace(/CA\/CA\.txt/g, 'CA/CA.zip'));
+            assert.strictEqual(zipFiles['parsed_benchmarks.json'],
+                textFiles['parsed_benchmarks.json'].replace(/CA\/CA\.txt/g, 'CA/CA.zip'));
+        }],
+        ['damaged ZIP entries fail the file', async (dir) => {
+            const datasheets = path.join(dir, 'datasheets');
+            await createDatasheetFolder(datasheets, { CA: 10, NV: 10 });
+
+            // NV has a stored entry with a flipped byte, CA is cut short
+            for (const [state, damage] of [['NV', zip => zip.fill(0x21, 50, 51)], ['CA', zip => zip.subarray(0, zip.length - 100)]]) {
+                const textFile = path.join(datasheets, state, `${state}.txt`);
+                const zip = new AdmZip();
+                zip.addFile(`${state}.txt`, await fs.readFile(textFile));
+                zip.getEntry(`${state}.txt`).header.method = 0;
+                await fs.writeFile(path.join(datasheets, state, `${state}.zip`), damage(zip.toBuffer()));
+                await fs.remove(textFile);
+            }
+
+            const parser = folderParser(dir);
+            await quietly(() => parser.processAllDatasheets());
+
+            assert.match(parser.diagnostics.failure('NV/NV.zip').reason, /CRC-32/);
+            assert.ok(parser.diagnostics.failure('CA/CA.zip'), 'no failure recorded for the cut archive');
+            assert.strictEqual(parser.diagnostics.totals().failedFiles, 2);
+        }],
+        ['top-level archives are matched to their state', async (dir) => {
+            await createDatasheetFolder(dir, { NV: 3, CA: 2 });
+
+            // Named for the state, and named otherwise with NV datasheets
+            const named = new AdmZip();
+            named.addFile('CA.txt', await fs.readFile(path.join(dir, 'CA', 'CA.txt')));
+            named.writeZip(path.join(dir, 'CA.zip'));
+            const unnamed = new AdmZip();
+            unnamed.addFile('NV.txt', await fs.readFile(path.join(dir, 'NV', 'NV.txt')));
+            unnamed.writeZip(path.join(dir, 'NGS_2024.zip'));
+            await fs.remove(path.join(dir, 'CA'));
+            await fs.remove(path.join(dir, 'NV'));
+
+            const sources = (await listStateSources(dir)).map(source => [source.state, path.basename(source.filePath)]);
+            assert.deepStrictEqual(sources, [['CA', 'CA.zip'], ['NV', 'NGS_2024.zip']]);
+        }],
+        ['saved HTML pages parse the same as their text', async (dir) => {
+            const textDir = path.join(dir, 'text');
+            const htmlDir = path.join(dir, 'html');
+            await createDatasheetFolder(path.join(textDir, 'datasheets'), { GU: 1 });
+            const text = await fs.readFile(path.join(textDir, 'datasheets', 'GU', 'GU.txt'), 'utf8');
+
+            // As the NGS site serves a mark: escaped, the PID linked, runs of
+            // spaces as no-break spaces, between a banner and a footer
+            const pre = text
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/PID {9}- {2}GU0000/, 'PID         -  <a href="ds_mark.prl?PidBox=GU0000">GU0000</a>')
+                .replace(/ {2}/g, '&nbsp; ')
+                .replace(/Survey, Retrieval/, 'Survey,\u00a0\u00a0Retrieval');
+            await fs.outputFile(path.join(htmlDir, 'datasheets', 'GU0000.html'),
+                `<html><body><pre>NGS DATASHEET</pre><pre>${pre}</pre><pre>Return to NGS</pre></body></html>`);
+
+            await quietly(() => folderParser(textDir).processAllDatasheets());
+            await quietly(() => folderParser(htmlDir).processAllDatasheets());
+            const textFiles = await processedFiles(textDir);
+            const htmlFiles = await processedFiles(htmlDir);
+            assert.strictEqual(htmlFiles['parsed_benchmarks.json'],
+                textFiles['parsed_benchmarks.json'].replace(/GU\/GU\.txt/g, 'GU0000.html'));
+        }],
+        ['PID index lookups read entries from text, gzip and ZIP', async (dir) => {
+            const datasheets = path.join(dir, 'datasheets');
+            await createDatasheetFolder(datasheets, { CA: 6, NV: 6, PR: 6 });
 
-            console.log(`  -> Extracted ${this.benchmarks.filter(b => b.state === stateCode).length} benchmarks from ${stateCode}`);
-            
-            return this.benchmarks;
+            const nvFile = path.join(datasheets, 'NV', 'NV.txt');
+            await fs.writeFile(`${nvFile}.gz`, zlib.gzipSync(await fs.readFile(nvFile)));
+            await fs.remove(nvFile);
+
+            // PR split over two entries, the first without a final line break
+            const prFile = path.join(datasheets, 'PR', 'PR.txt');
+            const prText = await fs.readFile(prFile, 'utf8');
+            const split = prText.indexOf('\n', Math.floor(prText.length / 2));
+            const zip = new AdmZip();
+            zip.addFile('PR1.txt', Buffer.from(prText.slice(0, split)));
+            zip.addFile('PR2.txt', Buffer.from(prText.slice(split + 1)));
+            zip.writeZip(path.join(datasheets, 'PR', 'PR.zip'));
+            await fs.remove(prFile);
+
+            await quietly(() => folderParser(dir).processAllDatasheets());
+            const locations = (await PidIndex.load(path.join(dir, 'processed', 'pid_index.json'))).toMap();
+
+            for (const [pid, file] of [['CA0002', 'CA/CA.txt'], ['NV0004', 'NV/NV.txt.gz'], ['PR0001', 'PR/PR.zip'], ['PR0005', 'PR/PR.zip']]) {
+                const location = locations.get(pid);
+                assert.strictEqual(location.file, file);
+                const filePath = path.join(datasheets, location.file);
+                const text = (await readRange(filePath, location.offset, location.length, location.entries)).toString('utf8');
+                assert.ok(text.includes(`PID         -  ${pid}`), `${pid} not at its index location`);
+                assert.strictEqual((text.match(/Retrieval Date/g) || []).length, 1, `${pid} range spans entries`);
+                // Reading from the entry start gives what the whole text does
+                assert.strictEqual((await readRange(filePath, location.offset, location.length)).toString('utf8'), text);
+            }
+
+            assert.deepStrictEqual(locations.get('PR0005').entries, [['PR1.txt', 0], ['PR2.txt', split + 1]]);
+            assert.strictEqual(locations.get('NV0004').entries, null);
+            // Nothing is extracted next to the processed output
+            assert.deepStrictEqual((await fs.readdir(path.join(dir, 'processed'))).sort(),
+                ['inventory.json', 'parse_diagnostics.json', 'parse_diagnostics.txt', 'parsed_benchmarks.json', 'pid_index.json']);
+        }]
+    ];
+
+    let failures = 0;
+    console.log('\n🧪 Parser pipeline tests:');
+
+    for (const [name, run] of cases) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ngs-parser-test-'));
+        try {
+            await run(dir);
+            console.log(`  ✓ ${name}`);
         } catch (error) {
-            console.error(`Error parsing ${stateCode}:`, error);
-            return [];
+            failures++;
+            console.log(`  ✗ ${name}: ${error.message}`);
+        } finally {
+            await fs.remove(dir);
         }
     }
+
+    return failures;
+}
+
+// The fixtures as parsed benchmarks for the export tests: the territory
+// marks (NAD 83(2011), MA11 and PA11 positions) and the full entry
+function exportBenchmarks() {
+    const parser = new NGSDatasheetParser();
+    return TERRITORY_FIXTURES.map(territoryEntry).concat([ROUND_TRIP_ENTRY])
+        .map(text => parser.parseDatasheetEntry(text));
+}
+
+// [longitude, latitude] of every point of a .shp
+function shapefilePoints(shp) {
+    const points = [];
+    for (let offset = 100; offset < shp.length; offset += 28) {
+        points.push([shp.readDoubleLE(offset + 12), shp.readDoubleLE(offset + 20)]);
+    }
+    return points;
+}
+
+// Values of one column of every record of a .dbf
+function dbfColumn(dbf, name) {
+    const index = DBF_FIELDS.findIndex(field => field.name === name);
+    const start = 1 + DBF_FIELDS.slice(0, index).reduce((total, field) => total + field.length, 0);
+    const headerLength = dbf.readUInt16LE(8);
+    const recordLength = dbf.readUInt16LE(10);
+    const values = [];
+
+    for (let i = 0; i < dbf.readUInt32LE(4); i++) {
+        const offset = headerLength + i * recordLength + start;
+        values.push(dbf.toString('utf8', offset, offset + DBF_FIELDS[index].length).trim());
+    }
+    return values;
+}
+
+// Write the fixtures in every export format and read each file back:
+// feature count, coordinates and key attributes have to survive. Returns
+// the number of failures.
+async function runExportTests() {
+    const benchmarks = exportBenchmarks();
+    const byPid = new Map(benchmarks.map(benchmark => [benchmark.id, benchmark]));
+
+    const cases = [
+        ['GeoJSON features', async (dir) => {
+            const file = path.join(dir, 'benchmarks.geojson');
+            assert.strictEqual(await writeFeatureCollection(benchmarks, file, { name: 'fixtures' }), benchmarks.length);
+
+            const collection = JSON.parse(await fs.readFile(file, 'utf8'));
+            assert.strictEqual(collection.name, 'fixtures');
+            assert.strictEqual(collection.features.length, benchmarks.length);
+            collection.features.forEach((feature, index) => {
+                const benchmark = benchmarks[index];
+                assert.strictEqual(feature.id, benchmark.id);
+                assert.deepStrictEqual(feature.geometry.coordinates, [benchmark.longitude, benchmark.latitude]);
+                assert.strictEqual(feature.properties.designation, benchmark.name);
+                assert.strictEqual(feature.properties.horizontal_datum, benchmark.currentControl.position.datum);
+                assert.strictEqual(feature.properties.orthometric_height, benchmark.orthometricHeight.value);
+                assert.deepStrictEqual(feature.properties.history, benchmark.history);
+            });
+        }],
+        ['KML placemarks and KMZ archive', async (dir) => {
+            const kmlFile = path.join(dir, 'benchmarks.kml');
+            const kmzFile = path.join(dir, 'benchmarks.kmz');
+            assert.strictEqual(await writeKml(benchmarks, kmlFile), benchmarks.length);
+            assert.strictEqual(await writeKmz(benchmarks, kmzFile), benchmarks.length);
+
+            const kml = await fs.readFile(kmlFile, 'utf8');
+            const placemarks = kml.match(/<Placemark[\s\S]*?<\/Placemark>/g);
+            assert.strictEqual(placemarks.length, benchmarks.length);
+            placemarks.forEach(placemark => {
+                const benchmark = byPid.get(placemark.match(/<Placemark id="([^"]+)">/)[1]);
+                assert.ok(benchmark, 'placemark for an unknown PID');
+                assert.ok(placemark.includes(`<name>${benchmark.name}</name>`));
+                assert.ok(placemark.includes(`<coordinates>${benchmark.longitude},${benchmark.latitude}</coordinates>`));
+                assert.ok(placemark.indexOf('<description>') < placemark.indexOf('<styleUrl>'), 'description after styleUrl');
+            });
+
+            // The archive holds the same document as the .kml
+            const entries = new AdmZip(kmzFile).getEntries();
+            assert.deepStrictEqual(entries.map(entry => entry.entryName), ['doc.kml']);
+            assert.strictEqual(entries[0].getData().toString('utf8'), kml);
+        }],
+        ['GPX waypoints', async (dir) => {
+            const file = path.join(dir, 'benchmarks.gpx');
+            assert.strictEqual(await writeGpx(benchmarks, file), benchmarks.length);
+
+            const waypoints = [...(await fs.readFile(file, 'utf8')).matchAll(/<wpt lat="([^"]+)" lon="([^"]+)">(?:<ele>([^<]+)<\/ele>)?<name>([^<]+)<\/name>/g)];
+            assert.strictEqual(waypoints.length, benchmarks.length);
+            waypoints.forEach(([, lat, lon, ele, name], index) => {
+                const benchmark = benchmarks[index];
+                assert.strictEqual(name, benchmark.id);
+                assert.ok(Math.abs(Number(lat) - benchmark.latitude) < 1e-8, `${name} latitude`);
+                assert.ok(Math.abs(Number(lon) - benchmark.longitude) < 1e-8, `${name} longitude`);
+                assert.strictEqual(Number(ele), benchmark.orthometricHeight.value);
+            });
+        }],
+        ['zipped shapefile per datum', async (dir) => {
+            const file = path.join(dir, 'benchmarks.zip');
+            assert.strictEqual(await writeShapefileZip(benchmarks, file), benchmarks.length);
+
+            const zip = new AdmZip(file);
+            const part = name => zip.getEntry(name).getData();
+            const expected = {
+                nad83_2011: 'GCS_NAD_1983_2011',
+                nad83_ma11: 'GCS_NAD_1983_MA11',
+                nad83_pa11: 'GCS_NAD_1983_PA11'
+            };
+            assert.deepStrictEqual(zip.getEntries().map(entry => entry.entryName).sort(),
+                Object.keys(expected).flatMap(key => ['.cpg', '.dbf', '.prj', '.shp', '.shx'].map(extension => `benchmarks_${key}${extension}`)));
+
+            for (const [key, prjName] of Object.entries(expected)) {
+                const layer = benchmarks.filter(benchmark => referenceSystem(benchmark).key === key);
+                assert.ok(part(`benchmarks_${key}.prj`).toString('utf8').startsWith(`GEOGCS["${prjName}"`), `${key} .prj`);
+                assert.deepStrictEqual(shapefilePoints(part(`benchmarks_${key}.shp`)),
+                    layer.map(benchmark => [benchmark.longitude, benchmark.latitude]));
+                assert.strictEqual(part(`benchmarks_${key}.shx`).length, 100 + layer.length * 8);
+                assert.deepStrictEqual(dbfColumn(part(`benchmarks_${key}.dbf`), 'pid'), layer.map(benchmark => benchmark.id));
+                assert.deepStrictEqual(dbfColumn(part(`benchmarks_${key}.dbf`), 'state'), layer.map(benchmark => benchmark.state));
+            }
+        }],
+        ['GeoPackage layers and store lookups', async (dir) => {
+            const { writeGeoPackage } = require('./geopackageWriter');
+            const GeoPackageStore = require('./geopackageStore');
+            const file = path.join(dir, 'benchmarks.gpkg');
+            assert.strictEqual(await writeGeoPackage(benchmarks, file), benchmarks.length);
+
+            const store = await new GeoPackageStore(file).open();
+            try {
+                const layers = store.db.prepare(`SELECT table_name, srs_id FROM gpkg_contents
+                    WHERE data_type = 'features' ORDER BY table_name`).all();
+                assert.deepStrictEqual(layers.map(layer => [layer.table_name, layer.srs_id]),
+                    [['benchmarks', 6318], ['benchmarks_nad83_ma11', 6325], ['benchmarks_nad83_pa11', 6322]]);
+
+                // Records come back as parsed, in file order across the layers
+                const records = JSON.parse(JSON.stringify(benchmarks));
+                assert.deepStrictEqual([...store.select()], records);
+                assert.deepStrictEqual(store.find('TP0005'), records[4]);
+                assert.strictEqual(store.find('XX9999'), null);
+
+                // Guam and Saipan only, from the MA11 layer
+                const mariana = [...store.select({ bbox: { west: 144, south: 13, east: 146, north: 16 } })];
+                assert.deepStrictEqual(mariana.map(benchmark => benchmark.id), ['TP0003', 'TP0004']);
+                assert.deepStrictEqual([...store.select({ states: ['AK'] })].map(benchmark => benchmark.id), ['TP0007', 'TP0008']);
+            } finally {
+                store.close();
+            }
+        }]
+    ];
+
+    let failures = 0;
+    console.log('\n🗺️  Export format round trips:');
+
+    for (const [name, run] of cases) {
+        if (name.startsWith('GeoPackage') && !hasGeoPackageSupport()) {
+            console.log(`  - ${name} skipped: ${GEOPACKAGE_UNAVAILABLE}`);
+            continue;
+        }
+
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ngs-export-test-'));
+        try {
+            await run(dir);
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ✗ ${name}: ${error.message}`);
+        } finally {
+            await fs.remove(dir);
+        }
+    }
+
+    return failures;
 }
 
 async function main() {
-    console.log('Starting NGS datasheet processing (line-by-line test)...\n');
+    const failures = runTerritoryTests() + runFormatterTests() + await runPipelineTests() + await runExportTests();
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+
+    console.log('\nStarting NGS datasheet processing (line-by-line test)...\n');
     
-    const parser = new NGSDatasheetParser();
+    const parser = new NGSDatasheetParser({ states: ['AK'] });
     
     // Test with just one state file
     const testFile = path.join(__dirname, '..', 'data', 'datasheets', 'AK', 'AK.txt');
@@ -118,7 +854,7 @@ async function main() {
         if (parser.benchmarks.length > 0) {
             console.log('\n📊 First few benchmarks found:');
             parser.benchmarks.slice(0, 3).forEach(b => {
-                console.log(`  ${b.id}: ${b.latitude}, ${b.longitude} (${b.elevation}m) - ${b.name}`);
+                console.log(`  ${b.id}: ${b.latitude}, ${b.longitude} (${b.elevation}m) - ${b.name} [${b.type}]`);
             });
         }
         
@@ -128,4 +864,4 @@ async function main() {
     }
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(console.error);
@@ -0,0 +1,25 @@
+// Escaping for the XML based export formats (KML, GPX)
+
+const XML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;'
+};
+
+// Escape text for an XML element or attribute value; null becomes ''
+function escapeXml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, chr => XML_ENTITIES[chr]);
+}
+
+// Wrap markup in a CDATA section, splitting any "]]>" it contains
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+module.exports = {
+    escapeXml,
+    cdata
+};
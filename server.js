@@ -2,7 +2,18 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs-extra');
+const os = require('os');
 const NGSDataFetcher = require('./scripts/fetchNGSData');
+const NGSDatasheetParser = require('./scripts/ngsDatasheetParser');
+const PidIndex = require('./scripts/pidIndex');
+const { GEOPACKAGE_UNAVAILABLE, hasGeoPackageSupport } = require('./scripts/geopackageSupport');
+const { readRange } = require('./scripts/datasheetSource');
+const { parseSelection, selectBenchmarks } = require('./scripts/benchmarkSelection');
+const { iterateFeatureCollection } = require('./scripts/geojsonWriter');
+const { iterateGpx } = require('./scripts/gpxWriter');
+const { writeShapefileZip } = require('./scripts/shapefileWriter');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,6 +29,140 @@ app.use('/js', express.static(path.join(__dirname, 'js')));
 app.use('/data', express.static(path.join(__dirname, 'data')));
 app.use('/lib', express.static(path.join(__dirname, 'lib')));
 
+// Parsed benchmarks are cached and only re-read when the file changes
+const benchmarkFile = path.join(__dirname, 'data', 'processed', 'parsed_benchmarks.json');
+let benchmarkCache = { file: null, mtimeMs: null, benchmarks: [], graph: null, searchIndex: null };
+
+// The GeoPackage written by parseNGSDatasheets.js --geopackage, used in
+// place of the JSON output as long as it is at least as new
+const geopackageFile = path.join(__dirname, 'data', 'processed', 'benchmarks.gpkg');
+let geopackageStore = null;
+let geopackageWarned = false;
+
+async function openGeoPackage() {
+    if (!await fs.pathExists(geopackageFile)) {
+        return null;
+    }
+
+    if (await fs.pathExists(benchmarkFile)) {
+        const [geopackageStats, benchmarkStats] = await Promise.all([fs.stat(geopackageFile), fs.stat(benchmarkFile)]);
+        if (geopackageStats.mtimeMs < benchmarkStats.mtimeMs) {
+            return null;
+        }
+    }
+
+    // Reading it needs the native better-sqlite3 module; without it the
+    // server keeps to the JSON output
+    if (!hasGeoPackageSupport()) {
+        if (!geopackageWarned) {
+            console.warn(`Ignoring ${geopackageFile}: ${GEOPACKAGE_UNAVAILABLE}`);
+            geopackageWarned = true;
+        }
+        return null;
+    }
+
+    if (!geopackageStore) {
+        const GeoPackageStore = require('./scripts/geopackageStore');
+        geopackageStore = new GeoPackageStore(geopackageFile);
+    }
+
+    return geopackageStore.open();
+}
+
+async function loadBenchmarks() {
+    const store = await openGeoPackage();
+    const file = store ? geopackageFile : benchmarkFile;
+
+    if (!await fs.pathExists(file)) {
+        return [];
+    }
+
+    const stats = await fs.stat(file);
+    if (file !== benchmarkCache.file || stats.mtimeMs !== benchmarkCache.mtimeMs) {
+        let benchmarks;
+        if (store) {
+            benchmarks = [...store.select()];
+        } else {
+            const data = await fs.readJson(benchmarkFile);
+            benchmarks = Array.isArray(data) ? data : (data.benchmarks || []);
+        }
+
+        benchmarkCache = {
+            file,
+            mtimeMs: stats.mtimeMs,
+            benchmarks,
+            graph: null,
+            searchIndex: null
+        };
+    }
+
+    return benchmarkCache.benchmarks;
+}
+
+async function findBenchmark(pid) {
+    const store = await openGeoPackage();
+    if (store) {
+        return store.find(pid);
+    }
+
+    const benchmarks = await loadBenchmarks();
+    return benchmarks.find(benchmark => benchmark.id === pid) || null;
+}
+
+// Benchmarks matching an export selection; the GeoPackage answers a bbox
+// from its R-tree instead of scanning every mark
+async function selectParsedBenchmarks(selection) {
+    const store = await openGeoPackage();
+    if (store) {
+        return store.select(selection);
+    }
+
+    return selectBenchmarks(await loadBenchmarks(), selection);
+}
+
+// PID -> datasheet location, re-read when the parser rewrites the index
+const datasheetDir = path.join(__dirname, 'data', 'datasheets');
+const pidIndexFile = path.join(__dirname, 'data', 'processed', 'pid_index.json');
+let pidIndexCache = { mtimeMs: null, locations: new Map() };
+
+async function loadPidIndex() {
+    if (!await fs.pathExists(pidIndexFile)) {
+        return new Map();
+    }
+
+    const stats = await fs.stat(pidIndexFile);
+    if (stats.mtimeMs !== pidIndexCache.mtimeMs) {
+        pidIndexCache = {
+            mtimeMs: stats.mtimeMs,
+            locations: (await PidIndex.load(pidIndexFile)).toMap()
+        };
+    }
+
+    return pidIndexCache.locations;
+}
+
+// Box score relationship graph, built once per load of the benchmark file
+async function loadRelationshipGraph() {
+    const benchmarks = await loadBenchmarks();
+
+    if (!benchmarkCache.graph) {
+        benchmarkCache.graph = new NGSDatasheetParser().buildRelationshipGraph(benchmarks);
+    }
+
+    return benchmarkCache.graph;
+}
+
+// Designation / stamping / alias index, built once per load of the benchmark file
+async function loadSearchIndex() {
+    const benchmarks = await loadBenchmarks();
+
+    if (!benchmarkCache.searchIndex) {
+        benchmarkCache.searchIndex = new NGSDatasheetParser().buildSearchIndex(benchmarks);
+    }
+
+    return benchmarkCache.searchIndex;
+}
+
 // Main route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -29,29 +174,39 @@ app.get('/', (req, res) => {
 app.get('/api/shapefiles', async (req, res) => {
     try {
         const shapefileDir = path.join(__dirname, 'data', 'shapefiles');
-        const processedDir = path.join(__dirname, 'data', 'processed');
-        
-        if (!await fs.pathExists(shapefileDir)) {
-            return res.json([]);
+        const exportDir = path.join(__dirname, 'data', 'exports', 'shapefile');
+        const shapefiles = [];
+
+        if (await fs.pathExists(shapefileDir)) {
+            const files = await fs.readdir(shapefileDir, { withFileTypes: true });
+
+            for (const file of files) {
+                if (file.name.endsWith('.shp')) {
+                    shapefiles.push({
+                        name: file.name,
+                        type: 'shapefile',
+                        size: (await fs.stat(path.join(shapefileDir, file.name))).size
+                    });
+                }
+            }
         }
 
-        // Look for processed shapefile data
-        const shapefiles = [];
-        const files = await fs.readdir(shapefileDir, { withFileTypes: true });
-        
-        for (const file of files) {
-            if (file.name.endsWith('.shp')) {
-                // In a full implementation, you would convert shapefile to GeoJSON
-                // For now, return metadata
-                shapefiles.push({
-                    name: file.name,
-                    type: 'shapefile',
-                    size: (await fs.stat(path.join(shapefileDir, file.name))).size,
-                    // data: geoJsonData // Would contain actual converted data
-                });
+        // Zipped benchmark exports from exportBenchmarks.js --format shapefile --per-state
+        if (await fs.pathExists(exportDir)) {
+            const files = await fs.readdir(exportDir, { withFileTypes: true });
+
+            for (const file of files) {
+                if (file.name.endsWith('.zip')) {
+                    shapefiles.push({
+                        name: file.name,
+                        type: 'shapefile-zip',
+                        size: (await fs.stat(path.join(exportDir, file.name))).size,
+                        url: `/data/exports/shapefile/${encodeURIComponent(file.name)}`
+                    });
+                }
             }
         }
-        
+
         res.json(shapefiles);
     } catch (error) {
         console.error('Error reading shapefiles:', error);
@@ -88,44 +243,66 @@ app.get('/api/datasheets', async (req, res) => {
     }
 });
 
-// Get specific benchmark datasheet content
-app.get('/api/datasheet/:state/:benchmarkId', async (req, res) => {
-    try {
-        const { state, benchmarkId } = req.params;
-        const datasheetFile = path.join(__dirname, 'data', 'datasheets', state, `${state}.txt`);
-        
-        if (!await fs.pathExists(datasheetFile)) {
-            return res.status(404).json({ error: 'Datasheet file not found' });
+// Read one datasheet entry. The PID index built by the parser gives the
+// file, byte offset and length, so the entry is read directly; without an
+// index hit the state's datasheet is scanned entry by entry instead.
+async function readDatasheetEntry(benchmarkId, state) {
+    const hasPid = text => text.includes(`PID         -  ${benchmarkId}`);
+    const location = (await loadPidIndex()).get(benchmarkId);
+
+    if (location) {
+        const bytes = await readRange(path.join(datasheetDir, location.file), location.offset, location.length, location.entries);
+        const content = bytes.toString('utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+
+        // Only trust the index while the file still holds the entry there
+        if (hasPid(content)) {
+            return { state: location.state, content };
         }
+    }
 
-        // Read the datasheet file and find the specific benchmark entry
-        const content = await fs.readFile(datasheetFile, 'utf8');
-        
-        // Split entries by retrieval date lines (each benchmark starts with this)
-        const entries = content.split(/^1\s+National Geodetic Survey, Retrieval Date/gm);
-        
-        // Find the entry that contains our benchmark ID
-        let benchmarkEntry = null;
-        for (const entry of entries) {
-            if (entry.includes(`PID         -  ${benchmarkId}`)) {
-                // Reconstruct the full entry with the retrieval header
-                benchmarkEntry = '1    National Geodetic Survey, Retrieval Date' + entry;
-                break;
+    if (!state) return null;
+
+    // The state's datasheet, then any saved NGS web pages for it
+    const parser = new NGSDatasheetParser({ states: [state] });
+    for (const source of await parser.findStateFiles()) {
+        for await (const entry of parser.iterateEntries(source.filePath)) {
+            if (entry.lines.some(hasPid)) {
+                return { state: source.state, content: entry.lines.join('\n') };
             }
         }
+    }
+
+    return null;
+}
+
+// Get specific benchmark datasheet content. PIDs are unique nationwide, so
+// the state segment is optional.
+app.get(['/api/datasheet/:state/:benchmarkId', '/api/datasheet/:benchmarkId'], async (req, res) => {
+    try {
+        const { benchmarkId } = req.params;
+        const entry = await readDatasheetEntry(benchmarkId, req.params.state);
         
-        if (benchmarkEntry) {
+        if (entry) {
+            // Same schema as parsed_benchmarks.json, so the popup and the
+            // processed data never disagree
+            const benchmark = new NGSDatasheetParser().parseDatasheetEntry(entry.content, entry.state);
+
             res.json({
                 benchmarkId,
-                state,
-                content: benchmarkEntry,
+                state: entry.state,
+                content: entry.content,
+                benchmark,
+                spc: benchmark ? benchmark.spc : [],
+                utm: benchmark ? benchmark.utm : [],
                 success: true
             });
         } else {
             res.status(404).json({ 
-                error: `Benchmark ${benchmarkId} not found in ${state} datasheet`,
+                error: req.params.state
+                    ? `Benchmark ${benchmarkId} not found in ${req.params.state} datasheet`
+                    : `Benchmark ${benchmarkId} not found in the PID index`,
                 benchmarkId,
-                state
+                state: req.params.state || null
             });
         }
         
@@ -135,6 +312,241 @@ app.get('/api/datasheet/:state/:benchmarkId', async (req, res) => {
     }
 });
 
+// ?limit= as a whole number from 1 to max, or fallback when it isn't one
+function queryLimit(value, fallback, max) {
+    const limit = parseInt(value, 10);
+    return Number.isNaN(limit) ? fallback : Math.min(Math.max(limit, 1), max);
+}
+
+// Resolve a designation, disk stamping or alias to PIDs nationwide.
+// Exact matches come first, then names starting with the query.
+app.get('/api/search', async (req, res) => {
+    try {
+        const parser = new NGSDatasheetParser();
+        const query = parser.normalizeSearchKey(req.query.q);
+        const limit = queryLimit(req.query.limit, 25, 100);
+
+        if (!query) {
+            return res.status(400).json({ error: 'Missing search query (?q=)' });
+        }
+
+        const index = await loadSearchIndex();
+        const benchmarks = await loadBenchmarks();
+        const byId = new Map(benchmarks.map(benchmark => [benchmark.id, benchmark]));
+
+        const exact = index.get(query) || [];
+        const partial = [];
+        if (exact.length < limit) {
+            for (const [key, entries] of index) {
+                if (key !== query && key.startsWith(query)) {
+                    partial.push(...entries);
+                    if (exact.length + partial.length >= limit) break;
+                }
+            }
+        }
+
+        // One result per mark, keeping its best match
+        const seen = new Set();
+        const results = exact.map(entry => ({ ...entry, exact: true }))
+            .concat(partial.map(entry => ({ ...entry, exact: false })))
+            .filter(entry => !seen.has(entry.pid) && seen.add(entry.pid))
+            .slice(0, limit)
+            .map(entry => {
+                const benchmark = byId.get(entry.pid);
+                return {
+                    ...entry,
+                    name: benchmark.name,
+                    state: benchmark.state,
+                    county: benchmark.county || null,
+                    latitude: benchmark.latitude,
+                    longitude: benchmark.longitude
+                };
+            });
+
+        res.json({ query: req.query.q, count: results.length, results });
+    } catch (error) {
+        console.error('Error searching benchmarks:', error);
+        res.status(500).json({ error: 'Failed to search benchmarks' });
+    }
+});
+
+// Benchmark records for the map markers (js/main.js), narrowed like the
+// exports with ?state=&type=&bbox= and capped at ?limit= marks; truncated
+// says whether the view holds more than were sent
+app.get('/api/benchmarks', async (req, res) => {
+    let selection;
+    try {
+        selection = parseSelection(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const limit = queryLimit(req.query.limit, 2000, 5000);
+        const benchmarks = [];
+        let truncated = false;
+
+        for await (const benchmark of await selectParsedBenchmarks(selection)) {
+            if (benchmarks.length === limit) {
+                truncated = true;
+                break;
+            }
+            benchmarks.push(benchmark);
+        }
+
+        res.json({ count: benchmarks.length, truncated, benchmarks });
+    } catch (error) {
+        console.error('Error reading benchmarks:', error);
+        res.status(500).json({ error: 'Failed to read benchmarks' });
+    }
+});
+
+// Stream the parsed benchmarks as a GeoJSON FeatureCollection, optionally
+// narrowed with ?state=CA,NV&type=vertical&bbox=W,S,E,N; ?z=true adds the
+// orthometric height as Z
+app.get('/api/benchmarks.geojson', async (req, res) => {
+    let selection;
+    try {
+        selection = parseSelection(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const benchmarks = await selectParsedBenchmarks(selection);
+        const options = { elevation: req.query.z === 'true' || req.query.z === '1', name: 'NGS benchmarks' };
+
+        res.type('application/geo+json');
+        await pipeline(Readable.from(iterateFeatureCollection(benchmarks, options)), res);
+    } catch (error) {
+        console.error('Error streaming GeoJSON:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export benchmarks' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// GPX waypoints for handheld GPS units, narrowed like the GeoJSON route with
+// ?state=&type=&bbox=
+app.get('/api/export/gpx', async (req, res) => {
+    let selection;
+    try {
+        selection = parseSelection(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const benchmarks = await selectParsedBenchmarks(selection);
+
+        res.type('application/gpx+xml');
+        res.attachment('benchmarks.gpx');
+        await pipeline(Readable.from(iterateGpx(benchmarks, { name: 'NGS benchmarks' })), res);
+    } catch (error) {
+        console.error('Error streaming GPX:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export benchmarks' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Zipped shapefile (.shp/.shx/.dbf/.prj/.cpg, one set per datum) of the
+// benchmarks selected with ?state=&type=&bbox=; built in a temp folder as
+// the parts need seeking
+app.get('/api/export/shapefile', async (req, res) => {
+    let selection;
+    try {
+        selection = parseSelection(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let tempDir;
+    try {
+        const benchmarks = await selectParsedBenchmarks(selection);
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ngs-shapefile-'));
+        const zipFile = path.join(tempDir, 'ngs_benchmarks.zip');
+
+        await writeShapefileZip(benchmarks, zipFile);
+        await new Promise((resolve, reject) => {
+            res.download(zipFile, 'ngs_benchmarks.zip', error => (error ? reject(error) : resolve()));
+        });
+    } catch (error) {
+        console.error('Error exporting shapefile:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export benchmarks' });
+        }
+    } finally {
+        if (tempDir) {
+            await fs.remove(tempDir);
+        }
+    }
+});
+
+// Get the superseded datum history of a benchmark alongside its current values
+app.get('/api/benchmarks/:pid/history', async (req, res) => {
+    try {
+        const pid = req.params.pid.toUpperCase();
+        const benchmark = await findBenchmark(pid);
+
+        if (!benchmark) {
+            return res.status(404).json({ error: `Benchmark ${pid} not found`, pid });
+        }
+
+        res.json({
+            pid,
+            name: benchmark.name,
+            current: {
+                latitude: benchmark.latitude,
+                longitude: benchmark.longitude,
+                datum: benchmark.currentControl && benchmark.currentControl.position
+                    ? benchmark.currentControl.position.datum
+                    : null,
+                ellipsoidHeight: benchmark.ellipsoidHeight || null,
+                orthometricHeight: benchmark.orthometricHeight || null
+            },
+            history: benchmark.history || []
+        });
+    } catch (error) {
+        console.error('Error reading benchmark history:', error);
+        res.status(500).json({ error: 'Failed to read benchmark history' });
+    }
+});
+
+// Get the reference marks, azimuth marks and nearby stations tied to a benchmark
+app.get('/api/benchmarks/:pid/related', async (req, res) => {
+    try {
+        const pid = req.params.pid.toUpperCase();
+        const benchmark = await findBenchmark(pid);
+
+        if (!benchmark) {
+            return res.status(404).json({ error: `Benchmark ${pid} not found`, pid });
+        }
+
+        // The GeoPackage's relations table gives just the marks this one
+        // touches, so the graph needn't be built for every benchmark
+        const store = await openGeoPackage();
+        const graph = store
+            ? new NGSDatasheetParser().buildRelationshipGraph(store.relatedBenchmarks(pid))
+            : await loadRelationshipGraph();
+
+        res.json({
+            pid,
+            name: benchmark.name,
+            latitude: benchmark.latitude,
+            longitude: benchmark.longitude,
+            related: graph[pid] || []
+        });
+    } catch (error) {
+        console.error('Error reading related benchmarks:', error);
+        res.status(500).json({ error: 'Failed to read related benchmarks' });
+    }
+});
+
 // Get data inventory
 app.get('/api/inventory', async (req, res) => {
     try {